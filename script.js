@@ -7,9 +7,89 @@
 // Application Configuration
 const CONFIG = {
   API_BASE_URL: 'https://opentdb.com/api.php',
+  API_TOKEN_URL: 'https://opentdb.com/api_token.php',
   API_TIMEOUT: 10000,
+  API_RATE_LIMIT_DELAY: 5000,
+  LOCAL_BANK_URL: 'question-bank.json',
+  DEFAULT_SOURCE: 'opentdb',
   STORAGE_KEY: 'quizpro_data',
+  TOKEN_STORAGE_KEY: 'quizpro_token',
+  TOKEN_MAX_AGE: 6 * 60 * 60 * 1000,
+  SESSION_STORAGE_KEY: 'quizpro_session',
+  HISTORY_STORAGE_KEY: 'quizpro_history',
+  HISTORY_MAX_ENTRIES: 100,
+  PROFILES_STORAGE_KEY: 'quizpro_profiles',
+  DEFAULT_PROFILE_ID: 'default',
+  GUEST_PROFILE_ID: 'guest',
+  PROFILE_AVATARS: ['🦊', '🐼', '🐯', '🐸', '🦉', '🐙', '🦄', '🐢'],
+  GUEST_AVATAR: '👤',
+  PROFILE_NAME_LENGTH: 20,
+  PROFILES_MAX: 12,
+  ACHIEVEMENTS_STORAGE_KEY: 'quizpro_achievements',
+  LEADERBOARD_STORAGE_KEY: 'quizpro_leaderboards',
+  LEADERBOARD_SIZE: 10,
+  LEADERBOARD_NAME_LENGTH: 12,
+  // Session type and history label prefix for each game mode on the start form
+  GAME_MODES: {
+    standard: { sessionType: 'quiz', label: '' },
+    survival: { sessionType: 'survival', label: 'Survival' },
+    'time-attack': { sessionType: 'time-attack', label: 'Time Attack' },
+    practice: { sessionType: 'practice', label: 'Practice' }
+  },
+  // These sessions have no set length and load questions in batches as they go
+  OPEN_ENDED_SESSIONS: ['survival', 'time-attack'],
+  QUESTION_BATCH_SIZE: 10,
+  QUESTION_PREFETCH: 3,
+  SURVIVAL_STORAGE_KEY: 'quizpro_survival',
+  // Time attack answers stay on screen this long before the next question
+  TIME_ATTACK_ADVANCE_DELAY: 600,
+  DAILY_STORAGE_KEY: 'quizpro_daily',
+  // Everyone plays the daily challenge from the bundled bank under the same rules
+  DAILY_SETTINGS: {
+    mode: 'standard',
+    numQuestions: 10,
+    category: '',
+    difficulty: '',
+    timePerQuestion: 20,
+    questionType: '',
+    source: 'local',
+    scoring: 'classic',
+    penaltyWrong: 0,
+    penaltyUnanswered: 0,
+    lifelines: 1,
+    hotSeat: ''
+  },
+  DAILY_CALENDAR_WEEKDAYS: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+  DECK_STORAGE_KEY: 'quizpro_deck',
+  DECK_MIN_EASINESS: 1.3,
+  DECK_INITIAL_EASINESS: 2.5,
+  DECK_SESSION_MAX: 50,
+  PACKS_STORAGE_KEY: 'quizpro_packs',
+  PACK_DOWNLOAD_SIZE: 50,
+  PACK_MAX_QUESTIONS: 200,
+  SERVICE_WORKER_URL: 'sw.js',
+  CUSTOM_QUIZZES_STORAGE_KEY: 'quizpro_custom_quizzes',
+  CHALLENGE_PARAM: 'challenge',
+  SEED_PARAM: 'seed',
+  CHALLENGE_VERSION: 1,
+  SETTINGS_RULES: [
+    { field: 'numQuestions', min: 1, max: 50, message: 'Number of questions must be between 1 and 50' },
+    { field: 'timePerQuestion', min: 5, max: 300, message: 'Time per question must be between 5 and 300 seconds' }
+  ],
+  LIFELINES: { fifty: '50/50', time: 'Extra Time', skip: 'Free Skip' },
+  LIFELINE_EXTRA_TIME: 15,
+  HOT_SEAT_MIN_PLAYERS: 2,
+  HOT_SEAT_MAX_PLAYERS: 8,
+  LIVE_SERVER_PORT: 8080,
+  DEFAULT_SCORING: 'classic',
+  SCORING_BASE_POINTS: 100,
+  DIFFICULTY_MULTIPLIERS: { easy: 1, medium: 1.5, hard: 2 },
+  DIFFICULTIES: ['easy', 'medium', 'hard'],
+  DIFFICULTY_ORDER: ['easy', 'medium', 'hard', 'unknown'],
+  IMPORT_MAX_ERRORS: 15,
+  DAY_MS: 24 * 60 * 60 * 1000,
   VERSION: '2.0.0',
+  TIMER_TICK: 1000,
   PERFORMANCE_MESSAGES: {
     EXCELLENT: { min: 90, message: '🏆 Excellent! You\'re a quiz master!', class: 'success' },
     VERY_GOOD: { min: 80, message: '🎉 Very Good! Keep up the great work!', class: 'success' },
@@ -25,6 +105,7 @@ class QuizState {
     this.questions = [];
     this.currentQuestionIndex = 0;
     this.score = 0;
+    this.points = 0;
     this.streak = 0;
     this.bestStreak = 0;
     this.timeLeft = 0;
@@ -34,29 +115,182 @@ class QuizState {
     this.questionTimes = [];
     this.userAnswers = [];
     this.settings = {
+      mode: 'standard',
+      lives: 3,
+      timeAttackDuration: 120,
+      timeAttackBonus: 2,
       numQuestions: 10,
       category: '',
       difficulty: 'medium',
-      timePerQuestion: 20
+      timePerQuestion: 20,
+      questionType: 'multiple',
+      source: CONFIG.DEFAULT_SOURCE,
+      customUrl: '',
+      savedQuizId: '',
+      seed: '',
+      scoring: CONFIG.DEFAULT_SCORING,
+      penaltyWrong: 0,
+      penaltyUnanswered: 0,
+      lifelines: 1,
+      hotSeat: '',
+      players: [],
+      liveServerUrl: '',
+      leaderboardName: ''
     };
     this.isAnswered = false;
     this.isQuizActive = false;
+    this.isPaused = false;
+    this.tickStartedAt = null;
+    this.tickRemaining = 0;
+    this.sessionType = 'quiz';
+    this.label = '';
+    this.challenge = null;
+    this.seed = '';
+    this.dailyDate = '';
+    this.isReplay = false;
+    this.lives = 0;
+    this.prefetchError = null;
+    this.bonusTime = 0;
+    this.questionClock = 0;
+    this.lifelines = {};
+    this.clearQuestionLifelines();
+    this.players = [];
+    this.activePlayer = 0;
+    this.turn = 0;
+    this.awaitingHandoff = false;
   }
 
   reset() {
     this.currentQuestionIndex = 0;
     this.score = 0;
+    this.points = 0;
     this.streak = 0;
     this.bestStreak = 0;
     this.questionTimes = [];
     this.userAnswers = [];
     this.isAnswered = false;
     this.isQuizActive = false;
+    this.isPaused = false;
+    this.challenge = null;
+    this.dailyDate = '';
+    this.isReplay = false;
+    this.lives = 0;
+    this.prefetchError = null;
+    this.bonusTime = 0;
+    this.questionClock = 0;
+    this.lifelines = this.createLifelines();
+    this.clearQuestionLifelines();
+    this.players = [];
+    this.activePlayer = 0;
+    this.turn = 0;
+    this.awaitingHandoff = false;
     this.clearTimer();
   }
 
+  createLifelines() {
+    return Object.fromEntries(Object.keys(CONFIG.LIFELINES).map(id => [id, this.settings.lifelines]));
+  }
+
+  /**
+   * Creates the per-player part of the state for a hot-seat game; the
+   * active player's values live in the top-level fields while they play
+   * @param {string} name - Player name
+   * @returns {Object} Player with a fresh score, streak, timings and lifelines
+   */
+  createPlayer(name) {
+    return {
+      name,
+      score: 0,
+      points: 0,
+      streak: 0,
+      bestStreak: 0,
+      questionTimes: [],
+      userAnswers: [],
+      lifelines: this.createLifelines()
+    };
+  }
+
+  saveActivePlayer() {
+    const player = this.players[this.activePlayer];
+    Object.keys(player).filter(field => field !== 'name').forEach(field => {
+      player[field] = this[field];
+    });
+  }
+
+  loadPlayer(index) {
+    const player = this.players[index];
+    this.activePlayer = index;
+    Object.keys(player).filter(field => field !== 'name').forEach(field => {
+      this[field] = player[field];
+    });
+  }
+
+  getTurnCount() {
+    return this.settings.hotSeat === 'same' ? this.questions.length * this.players.length : this.questions.length;
+  }
+
+  /**
+   * Works out who plays which question on a hot-seat turn
+   * @param {number} turn - Turn number, from 0
+   * @returns {Object} `questionIndex` and `playerIndex`
+   */
+  getTurn(turn = this.turn) {
+    const playerCount = this.players.length;
+    return this.settings.hotSeat === 'same' ?
+      { questionIndex: Math.floor(turn / playerCount), playerIndex: turn % playerCount } :
+      { questionIndex: turn, playerIndex: turn % playerCount };
+  }
+
+  // Lifeline effects only last for the question they were used on
+  clearQuestionLifelines() {
+    this.lifelinesUsed = [];
+    this.removedAnswers = [];
+    this.extraTime = 0;
+  }
+
+  isOpenEnded() {
+    return CONFIG.OPEN_ENDED_SESSIONS.includes(this.sessionType);
+  }
+
+  isTimeAttack() {
+    return this.sessionType === 'time-attack';
+  }
+
+  getTimeLimit() {
+    // A time attack has one clock for the whole quiz, topped up by bonus seconds
+    if (this.isTimeAttack()) {
+      return this.settings.timeAttackDuration + this.bonusTime;
+    }
+    return this.settings.timePerQuestion + this.extraTime;
+  }
+
+  getTimeSpent() {
+    // Practice has no clock, so answer times come from the wall clock
+    if (this.sessionType === 'practice') {
+      return Math.round((Date.now() - this.questionStartTime) / 1000);
+    }
+    if (this.isTimeAttack()) {
+      return this.questionClock - this.timeLeft;
+    }
+    return this.getTimeLimit() - this.timeLeft;
+  }
+
+  // Seconds of the time attack clock used so far
+  getClockUsed() {
+    return this.getTimeLimit() - Math.max(0, this.timeLeft);
+  }
+
+  /**
+   * @returns {number} Answers per minute of time attack clock used, to one decimal
+   */
+  getQuestionsPerMinute() {
+    const used = this.getClockUsed();
+    return used > 0 ? Math.round((this.userAnswers.length / used) * 600) / 10 : 0;
+  }
+
   clearTimer() {
     if (this.timer) {
+      // Also cancels a pending first tick: timeouts and intervals share one id pool
       clearInterval(this.timer);
       this.timer = null;
     }
@@ -74,8 +308,7 @@ class QuizState {
 
   recordQuestionTime() {
     if (this.questionStartTime) {
-      const timeSpent = this.settings.timePerQuestion - this.timeLeft;
-      this.questionTimes.push(timeSpent);
+      this.questionTimes.push(this.getTimeSpent());
     }
   }
 
@@ -85,8 +318,74 @@ class QuizState {
     return Math.round(total / this.questionTimes.length);
   }
 
+  /**
+   * Captures everything needed to continue the quiz after a reload
+   * @returns {Object} Serializable snapshot of the active quiz
+   */
+  toSnapshot() {
+    return {
+      questions: this.questions,
+      currentQuestionIndex: this.currentQuestionIndex,
+      score: this.score,
+      points: this.points,
+      streak: this.streak,
+      bestStreak: this.bestStreak,
+      timeLeft: this.timeLeft,
+      startTime: this.startTime,
+      questionTimes: this.questionTimes,
+      userAnswers: this.userAnswers,
+      settings: this.settings,
+      sessionType: this.sessionType,
+      label: this.label,
+      challenge: this.challenge,
+      seed: this.seed,
+      dailyDate: this.dailyDate,
+      isReplay: this.isReplay,
+      lives: this.lives,
+      bonusTime: this.bonusTime,
+      questionClock: this.questionClock,
+      lifelines: this.lifelines,
+      lifelinesUsed: this.lifelinesUsed,
+      removedAnswers: this.removedAnswers,
+      extraTime: this.extraTime,
+      players: this.players,
+      activePlayer: this.activePlayer,
+      turn: this.turn,
+      awaitingHandoff: this.awaitingHandoff,
+      isAnswered: this.isAnswered
+    };
+  }
+
+  restore(snapshot) {
+    Object.assign(this, snapshot);
+  }
+
+  /**
+   * Score after negative marking, floored at zero
+   * @returns {number} Correct answers minus penalties, to two decimals
+   */
+  getAdjustedScore() {
+    return Math.max(0, Math.round((this.score - this.getPenaltyTotal()) * 100) / 100);
+  }
+
+  getPenaltyTotal() {
+    const total = this.userAnswers.reduce((sum, answer) => sum + (answer.penalty || 0), 0);
+    return Math.round(total * 100) / 100;
+  }
+
+  getPercentage() {
+    // Hot-seat players answer only some of the questions
+    const total = this.userAnswers.length || this.questions.length;
+    // A time attack can run out before the first answer
+    return total ? Math.round((this.getAdjustedScore() / total) * 100) : 0;
+  }
+
+  getPoints() {
+    return Math.max(0, this.points);
+  }
+
   getPerformanceMessage() {
-    const percentage = (this.score / this.questions.length) * 100;
+    const percentage = this.getPercentage();
     for (const [key, config] of Object.entries(CONFIG.PERFORMANCE_MESSAGES)) {
       if (percentage >= config.min) {
         return config;
@@ -104,15 +403,60 @@ class Utils {
     return txt.value;
   }
 
-  static shuffleArray(array) {
+  static shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
   }
 
+  /**
+   * Creates a seeded pseudo-random generator (mulberry32) so shuffles can
+   * be reproduced from the same seed
+   * @param {string} seed - Any string
+   * @returns {Function} Drop-in replacement for Math.random
+   */
+  static createRandom(seed) {
+    // FNV-1a hash turns the seed string into a 32-bit starting state
+    let state = 2166136261;
+    for (const char of String(seed)) {
+      state = Math.imul(state ^ char.codePointAt(0), 16777619);
+    }
+
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  static escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // Quotes too, so the result is safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  static generateId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  static formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  /**
+   * @param {Date} date - Any moment of the day
+   * @returns {string} That day in local time as YYYY-MM-DD
+   */
+  static getDateKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
   static formatTime(seconds) {
     if (seconds < 60) return `${seconds}s`;
     const minutes = Math.floor(seconds / 60);
@@ -120,6 +464,16 @@ class Utils {
     return `${minutes}m ${remainingSeconds}s`;
   }
 
+  /**
+   * Formats a position as 1st, 2nd, 3rd, 4th...
+   * @param {number} position - Position, starting at 1
+   * @returns {string} Position with its English ordinal suffix
+   */
+  static formatOrdinal(position) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return `${position}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(position)]}`;
+  }
+
   static debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -150,6 +504,35 @@ class Utils {
     }
   }
 
+  /**
+   * Removes a saved value
+   * @param {string} key - Storage key
+   * @returns {boolean} Whether it was removed, so callers can report a failure
+   */
+  static removeFromStorage(key) {
+    try {
+      localStorage.removeItem(key);
+      return true;
+    } catch (error) {
+      console.warn('Failed to remove from localStorage:', error);
+      return false;
+    }
+  }
+
+  static toBase64Url(text) {
+    const binary = String.fromCharCode(...new TextEncoder().encode(text));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  }
+
+  static delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   static loadFromStorage(key) {
     try {
       const data = localStorage.getItem(key);
@@ -163,17 +546,34 @@ class Utils {
 
 // API Service
 class ApiService {
-  static async fetchQuestions(numQuestions, category, difficulty) {
-    const params = new URLSearchParams({
-      amount: numQuestions,
-      type: 'multiple'
-    });
+  static registerProvider(provider) {
+    questionProviders.set(provider.id, provider);
+  }
+
+  static getProvider(id) {
+    const provider = questionProviders.get(id || CONFIG.DEFAULT_SOURCE);
+    if (!provider) {
+      throw new Error(`Unknown question source: ${id}`);
+    }
+    return provider;
+  }
 
-    if (category) params.append('category', category);
-    if (difficulty) params.append('difficulty', difficulty);
+  static getProviders() {
+    return [...questionProviders.values()];
+  }
 
-    const url = `${CONFIG.API_BASE_URL}?${params}`;
+  /**
+   * Fetches questions from the configured source provider
+   * @param {Object} options - Quiz settings plus `amount` and `categoryName`
+   * @returns {Promise<Array>} Array of normalized question objects
+   */
+  static async fetchQuestions(options) {
+    const provider = this.getProvider(options.source);
+    const results = await provider.fetchQuestions(options);
+    return results.map((question, index) => this.normalizeQuestion(question, index));
+  }
 
+  static async fetchJson(url) {
     try {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), CONFIG.API_TIMEOUT);
@@ -181,7 +581,7 @@ class ApiService {
       const response = await fetch(url, {
         signal: controller.signal,
         headers: {
-          'Accept': 'application/json',
+          'Accept': 'application/json'
         }
       });
 
@@ -191,289 +591,2992 @@ class ApiService {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
-
-      if (data.response_code !== 0) {
-        throw new Error(this.getApiErrorMessage(data.response_code));
-      }
-
-      return data.results.map(question => ({
-        ...question,
-        question: Utils.decodeHtml(question.question),
-        correct_answer: Utils.decodeHtml(question.correct_answer),
-        incorrect_answers: question.incorrect_answers.map(answer => Utils.decodeHtml(answer))
-      }));
+      return await response.json();
 
     } catch (error) {
       if (error.name === 'AbortError') {
         throw new Error('Request timed out. Please check your internet connection and try again.');
       }
+      if (error instanceof SyntaxError) {
+        throw new Error('The question source did not return valid JSON.');
+      }
       throw error;
     }
   }
 
+  static normalizeQuestion(question, index) {
+    if (!question || typeof question.question !== 'string' || typeof question.correct_answer !== 'string' ||
+      !Array.isArray(question.incorrect_answers) || question.incorrect_answers.length === 0) {
+      throw new Error(`Question ${index + 1} is missing a question, correct_answer or incorrect_answers.`);
+    }
+
+    return {
+      ...question,
+      type: this.getQuestionType(question),
+      category: question.category ? Utils.decodeHtml(question.category) : 'General',
+      difficulty: question.difficulty || 'medium',
+      question: Utils.decodeHtml(question.question),
+      correct_answer: Utils.decodeHtml(question.correct_answer),
+      incorrect_answers: question.incorrect_answers.map(answer => Utils.decodeHtml(answer)),
+      explanation: question.explanation ? Utils.decodeHtml(question.explanation) : ''
+    };
+  }
+
+  static getQuestionType(question) {
+    return question.type || (question.incorrect_answers.length === 1 ? 'boolean' : 'multiple');
+  }
+
   static getApiErrorMessage(responseCode) {
     const errorMessages = {
       1: 'No results found. Try different settings.',
       2: 'Invalid parameters. Please check your settings.',
-      3: 'Token not found.',
-      4: 'Token empty.',
+      3: 'Question session not found. Please try again.',
+      4: 'You have answered every available question for these settings.',
       5: 'Rate limit exceeded. Please wait a moment and try again.'
     };
     return errorMessages[responseCode] || 'An unknown error occurred.';
   }
 }
 
-// UI Components
-class UIComponents {
-  static showLoading(message = 'Loading...') {
-    const overlay = document.getElementById('loading-overlay');
-    const text = overlay.querySelector('p');
-    text.textContent = message;
-    overlay.classList.remove('hide');
-  }
+const questionProviders = new Map();
 
-  static hideLoading() {
-    const overlay = document.getElementById('loading-overlay');
-    overlay.classList.add('hide');
+// Question Source Providers
+class QuestionProvider {
+  constructor(id, label) {
+    this.id = id;
+    this.label = label;
   }
 
-  static showError(title, message) {
-    const modal = document.getElementById('error-modal');
-    const titleElement = document.getElementById('error-title');
-    const messageElement = document.getElementById('error-message');
-
-    titleElement.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${title}`;
-    messageElement.textContent = message;
-    modal.classList.remove('hide');
+  /**
+   * Returns an error message when the settings can't be used with this source.
+   * Subclasses are passed the quiz settings collected from the start form.
+   * @returns {string|null} Error message, or null when the settings are valid
+   */
+  validate() {
+    return null;
+  }
 
-    // Focus management
-    const closeButton = document.getElementById('error-close');
-    closeButton.focus();
+  /**
+   * Fetches raw questions in the OpenTDB shape
+   * (`question`, `correct_answer`, `incorrect_answers`, `category`, `difficulty`).
+   * Subclasses are passed the quiz settings plus `amount` and `categoryName`.
+   * @returns {Promise<Array>} Array of raw question objects
+   */
+  async fetchQuestions() {
+    throw new Error(`${this.label} does not implement fetchQuestions`);
   }
+}
 
-  static hideError() {
-    const modal = document.getElementById('error-modal');
-    modal.classList.add('hide');
+class OpenTdbProvider extends QuestionProvider {
+  constructor() {
+    super('opentdb', 'Open Trivia Database');
   }
 
-  static showToast(title, message, type = 'info', duration = 5000) {
-    const container = document.getElementById('toast-container');
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    
-    toast.innerHTML = `
-      <div class="toast-header">
-        <div class="toast-title">
-          <i class="fas fa-${this.getToastIcon(type)}"></i>
-          ${title}
-        </div>
-        <button class="toast-close" aria-label="Close notification">&times;</button>
-      </div>
-      <div class="toast-body">${message}</div>
-    `;
+  async fetchQuestions(options) {
+    let token = await this.getToken();
+    let data = await this.requestQuestions(options, token);
 
-    container.appendChild(toast);
+    // Token expired on the server: start a fresh session and try again
+    if (data.response_code === 3) {
+      token = await this.requestToken();
+      await Utils.delay(CONFIG.API_RATE_LIMIT_DELAY);
+      data = await this.requestQuestions(options, token);
+    }
 
-    // Auto remove
-    const timeoutId = setTimeout(() => {
-      toast.style.animation = 'toastSlideIn 0.3s ease-out reverse';
-      setTimeout(() => toast.remove(), 300);
-    }, duration);
+    // Every question for this category/difficulty has been served: reset the pool
+    if (data.response_code === 4) {
+      token = await this.resetToken(token);
+      if (options.onNotice) {
+        options.onNotice('Question Pool Used Up', `You've seen every question for ${this.describePool(options)}. Starting over with the full pool.`);
+      }
+      await Utils.delay(CONFIG.API_RATE_LIMIT_DELAY);
+      data = await this.requestQuestions(options, token);
+    }
 
-    // Manual close
-    const closeButton = toast.querySelector('.toast-close');
-    closeButton.addEventListener('click', () => {
-      clearTimeout(timeoutId);
-      toast.style.animation = 'toastSlideIn 0.3s ease-out reverse';
-      setTimeout(() => toast.remove(), 300);
-    });
-  }
+    if (data.response_code !== 0) {
+      throw new Error(ApiService.getApiErrorMessage(data.response_code));
+    }
 
-  static getToastIcon(type) {
-    const icons = {
-      success: 'check-circle',
-      error: 'exclamation-circle',
-      warning: 'exclamation-triangle',
-      info: 'info-circle'
-    };
-    return icons[type] || 'info-circle';
+    this.saveToken(token);
+    return data.results;
   }
 
-  static updateProgressBar(percentage, timeLeft) {
-    const progressBar = document.querySelector('.progress-bar');
-    const progressText = document.querySelector('.progress-text');
-    
-    if (progressBar && progressText) {
-      progressBar.style.width = `${percentage}%`;
-      progressBar.setAttribute('aria-valuenow', percentage);
-      progressText.textContent = timeLeft;
-      
-      // Add visual feedback for low time
-      if (percentage < 20) {
-        progressBar.style.background = 'linear-gradient(135deg, #ef4444, #dc2626)';
-      } else if (percentage < 50) {
-        progressBar.style.background = 'linear-gradient(135deg, #f59e0b, #d97706)';
-      } else {
-        progressBar.style.background = 'linear-gradient(135deg, var(--primary-color), var(--primary-light))';
-      }
+  requestQuestions({ amount, category, difficulty, questionType }, token) {
+    const params = new URLSearchParams({ amount });
+
+    if (questionType) {
+      params.append('type', questionType);
+    }
+    if (category) {
+      params.append('category', category);
+    }
+    if (difficulty) {
+      params.append('difficulty', difficulty);
+    }
+    if (token) {
+      params.append('token', token);
     }
-  }
 
-  static updateScore(score, streak) {
-    const scoreElement = document.getElementById('current-score');
-    const streakElement = document.getElementById('current-streak');
-    
-    if (scoreElement) scoreElement.textContent = score;
-    if (streakElement) streakElement.textContent = streak;
+    return ApiService.fetchJson(`${CONFIG.API_BASE_URL}?${params}`);
   }
 
-  static switchScreen(hideClass, showClass) {
-    document.querySelectorAll('.start-screen, .quiz, .end-screen, .review-screen').forEach(screen => {
-      screen.classList.add('hide');
-    });
-    
-    const targetScreen = document.querySelector(`.${showClass}`);
-    if (targetScreen) {
-      targetScreen.classList.remove('hide');
-      // Focus management
-      const heading = targetScreen.querySelector('h1, .heading');
-      if (heading) heading.focus();
-    }
+  describePool({ categoryName, difficulty }) {
+    return `${categoryName || 'Any Category'} (${difficulty || 'any difficulty'})`;
   }
-}
 
-// Event Handlers
-class EventHandlers {
-  constructor(quizApp) {
-    this.quizApp = quizApp;
-    this.boundHandlers = {};
-    this.initializeEventListeners();
+  async getToken() {
+    const saved = ProfileStore.readShared(CONFIG.TOKEN_STORAGE_KEY);
+    // OpenTDB deletes tokens after six hours of inactivity
+    if (saved && saved.token && Date.now() - saved.lastUsed < CONFIG.TOKEN_MAX_AGE) {
+      return saved.token;
+    }
+    return this.requestToken();
   }
 
-  initializeEventListeners() {
-    // Form submission
-    this.addEventListenerSafe('quiz-settings', 'submit', this.handleStartQuiz.bind(this));
-    
-    // Button clicks
-    this.addEventListenerSafe('start-btn', 'click', this.handleStartQuiz.bind(this));
-    this.addEventListenerSafe('submit-btn', 'click', this.handleSubmitAnswer.bind(this));
-    this.addEventListenerSafe('next-btn', 'click', this.handleNextQuestion.bind(this));
-    this.addEventListenerSafe('skip-btn', 'click', this.handleSkipQuestion.bind(this));
-    this.addEventListenerSafe('quit-btn', 'click', this.handleQuitQuiz.bind(this));
-    this.addEventListenerSafe('restart-btn', 'click', this.handleRestartQuiz.bind(this));
-    this.addEventListenerSafe('review-btn', 'click', this.handleShowReview.bind(this));
-    this.addEventListenerSafe('back-to-results', 'click', this.handleBackToResults.bind(this));
-    this.addEventListenerSafe('share-btn', 'click', this.handleShareResults.bind(this));
-    
-    // Modal events
-    this.addEventListenerSafe('error-close', 'click', UIComponents.hideError);
-    this.addEventListenerSafe('error-modal', 'click', (e) => {
-      if (e.target.id === 'error-modal') UIComponents.hideError();
-    });
-
-    // Keyboard navigation
-    document.addEventListener('keydown', this.handleKeyboard.bind(this));
-    
-    // Window events
-    window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
-    window.addEventListener('online', () => UIComponents.showToast('Connection', 'You are back online!', 'success'));
-    window.addEventListener('offline', () => UIComponents.showToast('Connection', 'You are offline. Some features may not work.', 'warning'));
+  async requestToken() {
+    const data = await ApiService.fetchJson(`${CONFIG.API_TOKEN_URL}?command=request`);
+    if (data.response_code !== 0 || !data.token) {
+      throw new Error('Could not start a question session. Please try again.');
+    }
+    this.saveToken(data.token);
+    return data.token;
   }
 
-  addEventListenerSafe(id, event, handler) {
-    const element = document.getElementById(id);
-    if (element) {
-      element.addEventListener(event, handler);
-      this.boundHandlers[id] = this.boundHandlers[id] || {};
-      this.boundHandlers[id][event] = handler;
+  async resetToken(token) {
+    const params = new URLSearchParams({ command: 'reset', token });
+    const data = await ApiService.fetchJson(`${CONFIG.API_TOKEN_URL}?${params}`);
+    if (data.response_code !== 0) {
+      ProfileStore.eraseShared(CONFIG.TOKEN_STORAGE_KEY);
+      return this.requestToken();
     }
+    this.saveToken(data.token || token);
+    return data.token || token;
   }
 
-  handleStartQuiz(e) {
-    e.preventDefault();
-    this.quizApp.startQuiz();
+  saveToken(token) {
+    ProfileStore.writeShared(CONFIG.TOKEN_STORAGE_KEY, { token, lastUsed: Date.now() });
   }
+}
 
-  handleSubmitAnswer() {
-    this.quizApp.submitAnswer();
+class LocalBankProvider extends QuestionProvider {
+  constructor(id = 'local', label = 'Local Question Bank') {
+    super(id, label);
   }
 
-  handleNextQuestion() {
-    this.quizApp.nextQuestion();
+  getUrl() {
+    return CONFIG.LOCAL_BANK_URL;
   }
 
-  handleSkipQuestion() {
-    this.quizApp.skipQuestion();
-  }
+  async fetchQuestions(options) {
+    const data = await ApiService.fetchJson(this.getUrl(options));
+    const questions = this.selectQuestions(this.extractQuestions(data), options);
 
-  handleQuitQuiz() {
-    if (confirm('Are you sure you want to quit the quiz? Your progress will be lost.')) {
-      this.quizApp.quitQuiz();
+    if (questions.length === 0) {
+      throw new Error(ApiService.getApiErrorMessage(1));
     }
+
+    return questions;
+  }
+
+  extractQuestions(data) {
+    // Accept a bare array, `{ questions: [] }` or an OpenTDB-style `{ results: [] }` payload
+    const questions = Array.isArray(data) ? data : (data && (data.questions || data.results));
+    if (!Array.isArray(questions)) {
+      throw new Error(`${this.label} did not return a list of questions.`);
+    }
+    return questions;
+  }
+
+  selectQuestions(questions, { amount, categoryName, difficulty, questionType, random }) {
+    const matching = questions.filter(question =>
+      (!categoryName || question.category === categoryName) &&
+      (!difficulty || question.difficulty === difficulty) &&
+      (!questionType || ApiService.getQuestionType(question) === questionType)
+    );
+    return Utils.shuffleArray(matching, random).slice(0, amount);
+  }
+}
+
+class CustomUrlProvider extends LocalBankProvider {
+  constructor() {
+    super('custom-url', 'Custom URL');
+  }
+
+  validate({ customUrl }) {
+    try {
+      const url = new URL(customUrl);
+      return ['http:', 'https:'].includes(url.protocol) ? null : 'The question URL must start with http:// or https://';
+    } catch (error) {
+      return 'Please enter a valid question URL';
+    }
+  }
+
+  getUrl({ customUrl }) {
+    return customUrl;
+  }
+}
+
+class SavedQuizProvider extends QuestionProvider {
+  constructor() {
+    super('saved', 'My Quizzes');
+  }
+
+  validate({ savedQuizId }) {
+    const quiz = CustomQuizStore.get(savedQuizId);
+    if (!quiz) {
+      return 'This saved quiz no longer exists. Please choose another source.';
+    }
+    return quiz.questions.length ? null : 'This saved quiz has no questions yet.';
+  }
+
+  // Saved quizzes play every question in the order they were authored
+  async fetchQuestions({ savedQuizId }) {
+    return CustomQuizStore.get(savedQuizId).questions;
+  }
+}
+
+[new OpenTdbProvider(), new LocalBankProvider(), new CustomUrlProvider(), new SavedQuizProvider()].forEach(provider => {
+  ApiService.registerProvider(provider);
+});
+
+// Offline Question Packs
+class PackStore {
+  static getKey({ source, category, difficulty, questionType }) {
+    return [source, category || 'any', difficulty || 'any', questionType || 'mixed'].join('|');
+  }
+
+  static getAll() {
+    return ProfileStore.readShared(CONFIG.PACKS_STORAGE_KEY) || {};
+  }
+
+  static get(options) {
+    return this.getAll()[this.getKey(options)] || null;
+  }
+
+  /**
+   * Merges downloaded questions into the pack for these settings
+   * @param {Object} options - Quiz settings plus `categoryName`
+   * @param {Array} questions - Normalized question objects
+   * @returns {Object} The updated pack
+   */
+  static save(options, questions) {
+    const packs = this.getAll();
+    const key = this.getKey(options);
+    const existing = packs[key] ? packs[key].questions : [];
+    const seen = new Set(existing.map(question => question.question));
+    const merged = [...existing, ...questions.filter(question => !seen.has(question.question))];
+
+    packs[key] = {
+      label: `${options.categoryName || 'Any Category'} (${options.difficulty || 'any difficulty'})`,
+      questions: merged.slice(-CONFIG.PACK_MAX_QUESTIONS),
+      savedAt: Date.now()
+    };
+    ProfileStore.writeShared(CONFIG.PACKS_STORAGE_KEY, packs);
+    return packs[key];
+  }
+}
+
+// Player Profiles
+// The guest profile keeps its data here, so nothing it does is saved
+const guestStorage = new Map();
+
+class ProfileStore {
+  /**
+   * Storage that each profile keeps for itself; question packs, custom
+   * quizzes, leaderboards and the Open Trivia Database token are shared
+   * @returns {Array<string>} Storage keys
+   */
+  static getDataKeys() {
+    return [
+      CONFIG.STORAGE_KEY,
+      CONFIG.HISTORY_STORAGE_KEY,
+      CONFIG.DECK_STORAGE_KEY,
+      CONFIG.SESSION_STORAGE_KEY,
+      CONFIG.ACHIEVEMENTS_STORAGE_KEY,
+      CONFIG.DAILY_STORAGE_KEY
+    ];
+  }
+
+  static getDefaultProfile() {
+    return { id: CONFIG.DEFAULT_PROFILE_ID, name: 'Player 1', avatar: CONFIG.PROFILE_AVATARS[0], createdAt: 0 };
+  }
+
+  static getGuestProfile() {
+    return { id: CONFIG.GUEST_PROFILE_ID, name: 'Guest', avatar: CONFIG.GUEST_AVATAR };
+  }
+
+  static loadIndex() {
+    const index = Utils.loadFromStorage(CONFIG.PROFILES_STORAGE_KEY);
+    return index && Array.isArray(index.profiles) && index.profiles.length ?
+      index :
+      { activeId: CONFIG.DEFAULT_PROFILE_ID, profiles: [this.getDefaultProfile()] };
+  }
+
+  static saveIndex(index) {
+    Utils.saveToStorage(CONFIG.PROFILES_STORAGE_KEY, index);
+  }
+
+  static getAll() {
+    return this.loadIndex().profiles;
+  }
+
+  static get(id) {
+    if (id === CONFIG.GUEST_PROFILE_ID) {
+      return this.getGuestProfile();
+    }
+    return this.getAll().find(profile => profile.id === id) || null;
+  }
+
+  static getActive() {
+    const { activeId, profiles } = this.loadIndex();
+    return this.get(activeId) || profiles[0];
+  }
+
+  static isGuest() {
+    return this.getActive().id === CONFIG.GUEST_PROFILE_ID;
+  }
+
+  static setActive(id) {
+    if (!this.get(id)) {
+      throw new Error('That profile no longer exists.');
+    }
+    // Whatever a guest did is forgotten as soon as someone else plays
+    guestStorage.clear();
+    this.saveIndex({ ...this.loadIndex(), activeId: id });
+  }
+
+  /**
+   * Adds a profile
+   * @param {string} name - Display name, unique on this device
+   * @param {string} avatar - One of CONFIG.PROFILE_AVATARS
+   * @returns {Object} The new profile
+   * @throws {Error} When the name is missing or taken, or there are too many profiles
+   */
+  static create(name, avatar) {
+    const trimmed = name.trim().slice(0, CONFIG.PROFILE_NAME_LENGTH);
+    const index = this.loadIndex();
+
+    if (!trimmed) {
+      throw new Error('Please enter a profile name.');
+    }
+    if ([...index.profiles, this.getGuestProfile()].some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`There is already a profile called ${trimmed}.`);
+    }
+    if (index.profiles.length >= CONFIG.PROFILES_MAX) {
+      throw new Error(`A device can have up to ${CONFIG.PROFILES_MAX} profiles.`);
+    }
+
+    const profile = {
+      id: Utils.generateId(),
+      name: trimmed,
+      avatar: CONFIG.PROFILE_AVATARS.includes(avatar) ? avatar : CONFIG.PROFILE_AVATARS[0],
+      createdAt: Date.now()
+    };
+    this.saveIndex({ ...index, profiles: [...index.profiles, profile] });
+    return profile;
+  }
+
+  /**
+   * Deletes a profile and everything it saved
+   * @param {string} id - Profile id
+   * @throws {Error} When it's the only profile left, or its data can't be removed
+   */
+  static remove(id) {
+    const index = this.loadIndex();
+    if (index.profiles.length <= 1) {
+      throw new Error('The last profile can\'t be deleted.');
+    }
+
+    const removed = this.getDataKeys().map(key => Utils.removeFromStorage(this.getKey(key, id)));
+    if (removed.includes(false)) {
+      throw new Error('The profile\'s saved data couldn\'t be removed from this browser.');
+    }
+    const profiles = index.profiles.filter(profile => profile.id !== id);
+    this.saveIndex({ activeId: index.activeId === id ? profiles[0].id : index.activeId, profiles });
+  }
+
+  /**
+   * The first profile keeps the original storage keys, so data saved
+   * before profiles existed still belongs to it
+   * @param {string} key - Storage key from CONFIG
+   * @param {string} id - Profile id, the active profile by default
+   * @returns {string} Storage key for that profile
+   */
+  static getKey(key, id = this.getActive().id) {
+    return id === CONFIG.DEFAULT_PROFILE_ID ? key : `${key}_${id}`;
+  }
+
+  static read(key) {
+    if (this.isGuest()) {
+      return guestStorage.has(key) ? JSON.parse(guestStorage.get(key)) : null;
+    }
+    return Utils.loadFromStorage(this.getKey(key));
+  }
+
+  static write(key, data) {
+    if (this.isGuest()) {
+      guestStorage.set(key, JSON.stringify(data));
+    } else {
+      Utils.saveToStorage(this.getKey(key), data);
+    }
+  }
+
+  static erase(key) {
+    if (this.isGuest()) {
+      guestStorage.delete(key);
+    } else {
+      Utils.removeFromStorage(this.getKey(key));
+    }
+  }
+
+  /**
+   * Reads storage that every profile shares; a guest sees its own changes
+   * on top of it until someone else plays
+   * @param {string} key - Storage key from CONFIG
+   * @returns {*} Saved data, or null
+   */
+  static readShared(key) {
+    if (this.isGuest() && guestStorage.has(key)) {
+      return JSON.parse(guestStorage.get(key));
+    }
+    return Utils.loadFromStorage(key);
+  }
+
+  static writeShared(key, data) {
+    if (this.isGuest()) {
+      guestStorage.set(key, JSON.stringify(data));
+    } else {
+      Utils.saveToStorage(key, data);
+    }
+  }
+
+  static eraseShared(key) {
+    if (this.isGuest()) {
+      // Hides the shared value from the guest without removing it
+      guestStorage.set(key, JSON.stringify(null));
+    } else {
+      Utils.removeFromStorage(key);
+    }
+  }
+
+  /**
+   * Counts what a profile has saved, for the profile list
+   * @param {string} id - Profile id
+   * @returns {Object} Number of `quizzes` in the history and review deck `cards`
+   */
+  static getSummary(id) {
+    const history = Utils.loadFromStorage(this.getKey(CONFIG.HISTORY_STORAGE_KEY, id)) || [];
+    const deck = Utils.loadFromStorage(this.getKey(CONFIG.DECK_STORAGE_KEY, id)) || {};
+    return { quizzes: history.length, cards: Object.keys(deck).length };
+  }
+
+  /**
+   * Bundles a profile with its settings, history, review deck and unfinished quiz
+   * @param {string} id - Profile id
+   * @returns {Object} Export ready to be saved as JSON
+   */
+  static export(id) {
+    const data = {};
+    this.getDataKeys().forEach(key => {
+      data[key] = Utils.loadFromStorage(this.getKey(key, id));
+    });
+    return { app: 'QuizPro', version: CONFIG.VERSION, exportedAt: new Date().toISOString(), profile: this.get(id), data };
+  }
+}
+
+// Quiz History
+class HistoryStore {
+  static getAll() {
+    return ProfileStore.read(CONFIG.HISTORY_STORAGE_KEY) || [];
+  }
+
+  static get(id) {
+    return this.getAll().find(attempt => attempt.id === id) || null;
+  }
+
+  /**
+   * Saves a finished attempt, newest first
+   * @param {Object} attempt - Settings, score, percentage, bestStreak, avgTime and userAnswers
+   * @returns {Object} The stored attempt with its id and completion time
+   */
+  static add(attempt) {
+    const entry = { id: Utils.generateId(), completedAt: Date.now(), ...attempt };
+    const history = [entry, ...this.getAll()].slice(0, CONFIG.HISTORY_MAX_ENTRIES);
+    ProfileStore.write(CONFIG.HISTORY_STORAGE_KEY, history);
+    return entry;
+  }
+
+  static remove(id) {
+    const history = this.getAll().filter(attempt => attempt.id !== id);
+    ProfileStore.write(CONFIG.HISTORY_STORAGE_KEY, history);
+  }
+}
+
+// Local Leaderboards
+class LeaderboardStore {
+  /**
+   * Quizzes only compete with quizzes played under the same rules
+   * @param {Object} settings - Quiz settings
+   * @returns {string} Key of the leaderboard for those settings
+   */
+  static getKey({
+    category, difficulty, numQuestions, timePerQuestion, source, customUrl, questionType, scoring, penaltyWrong,
+    penaltyUnanswered
+  }) {
+    // Every custom URL is a question set of its own
+    const questionSet = source === 'custom-url' ? `${source}:${customUrl}` : source;
+    return [
+      category, difficulty, numQuestions, timePerQuestion, questionSet, questionType, scoring, penaltyWrong, penaltyUnanswered
+    ].join('|');
+  }
+
+  static getAll() {
+    return Utils.loadFromStorage(CONFIG.LEADERBOARD_STORAGE_KEY) || {};
+  }
+
+  /**
+   * Orders entries by score, then by average answer time; earlier entries
+   * stay ahead of later ones with the same result
+   * @param {Array} entries - Leaderboard entries
+   * @returns {Array} Sorted copy of the entries
+   */
+  static rank(entries) {
+    return [...entries].sort((a, b) => b.score - a.score || a.avgTime - b.avgTime || a.completedAt - b.completedAt);
+  }
+
+  /**
+   * Works out where a result would place
+   * @param {Object} settings - Settings the quiz was played with
+   * @param {Object} result - `score` and `avgTime`
+   * @returns {number} Position from 1, or 0 when it doesn't make the leaderboard
+   */
+  static getRank(settings, { score, avgTime }) {
+    const board = this.getAll()[this.getKey(settings)];
+    const entries = board ? board.entries : [];
+    const rank = entries.filter(entry => entry.score > score || (entry.score === score && entry.avgTime <= avgTime)).length + 1;
+    return rank <= CONFIG.LEADERBOARD_SIZE ? rank : 0;
+  }
+
+  /**
+   * Adds an entry to the leaderboard for its settings, keeping the best
+   * CONFIG.LEADERBOARD_SIZE entries
+   * @param {Object} settings - Settings the quiz was played with
+   * @param {string} categoryName - Category shown in the leaderboard title
+   * @param {Object} entry - `name`, `score`, `total`, `percentage`, `avgTime` and `points`
+   * @returns {number} Position of the new entry, or 0 if it didn't place
+   */
+  static add(settings, categoryName, entry) {
+    const boards = this.getAll();
+    const key = this.getKey(settings);
+    const { category, difficulty, numQuestions, timePerQuestion, source, questionType, scoring } = settings;
+    const board = boards[key] || {
+      category,
+      categoryName,
+      difficulty,
+      numQuestions,
+      timePerQuestion,
+      source,
+      customUrl: source === 'custom-url' ? settings.customUrl : '',
+      questionType,
+      scoring,
+      penalties: [settings.penaltyWrong, settings.penaltyUnanswered],
+      entries: []
+    };
+    const stored = { id: Utils.generateId(), completedAt: Date.now(), ...entry };
+
+    board.entries = this.rank([...board.entries, stored]).slice(0, CONFIG.LEADERBOARD_SIZE);
+    boards[key] = board;
+    Utils.saveToStorage(CONFIG.LEADERBOARD_STORAGE_KEY, boards);
+    return board.entries.indexOf(stored) + 1;
+  }
+
+  /**
+   * Deletes leaderboards
+   * @param {Array<string>} keys - Keys from getKey
+   */
+  static clear(keys) {
+    const boards = this.getAll();
+    keys.forEach(key => delete boards[key]);
+    Utils.saveToStorage(CONFIG.LEADERBOARD_STORAGE_KEY, boards);
+  }
+}
+
+// Survival High Scores
+class SurvivalStore {
+  static getAll() {
+    return Utils.loadFromStorage(CONFIG.SURVIVAL_STORAGE_KEY) || [];
+  }
+
+  /**
+   * Longest runs (most correct answers) first, then most points; earlier
+   * entries stay ahead of later ones with the same result
+   * @param {Array} entries - High score entries
+   * @returns {Array} Sorted copy of the entries
+   */
+  static rank(entries) {
+    return [...entries].sort((a, b) => b.score - a.score || b.points - a.points || a.completedAt - b.completedAt);
+  }
+
+  /**
+   * @param {Object} result - `score` and `points`
+   * @returns {number} Position from 1, or 0 when it doesn't make the table
+   */
+  static getRank({ score, points }) {
+    const rank = this.getAll().filter(entry => entry.score > score || (entry.score === score && entry.points >= points)).length + 1;
+    return rank <= CONFIG.LEADERBOARD_SIZE ? rank : 0;
+  }
+
+  /**
+   * Adds a run, keeping the best CONFIG.LEADERBOARD_SIZE entries
+   * @param {Object} entry - `name`, `score`, `total`, `points`, `lives` and `categoryName`
+   * @returns {number} Position of the new entry, or 0 if it didn't place
+   */
+  static add(entry) {
+    const stored = { id: Utils.generateId(), completedAt: Date.now(), ...entry };
+    const entries = this.rank([...this.getAll(), stored]).slice(0, CONFIG.LEADERBOARD_SIZE);
+    Utils.saveToStorage(CONFIG.SURVIVAL_STORAGE_KEY, entries);
+    return entries.indexOf(stored) + 1;
+  }
+
+  /**
+   * Removes every survival high score
+   * @returns {boolean} Whether they were removed
+   */
+  static clear() {
+    return Utils.removeFromStorage(CONFIG.SURVIVAL_STORAGE_KEY);
+  }
+}
+
+// Daily Challenge Results
+class DailyStore {
+  /**
+   * @returns {Object} Results by date key (YYYY-MM-DD)
+   */
+  static getAll() {
+    return ProfileStore.read(CONFIG.DAILY_STORAGE_KEY) || {};
+  }
+
+  static get(date) {
+    return this.getAll()[date] || null;
+  }
+
+  /**
+   * Uses up the day's attempt as soon as it starts, so quitting and
+   * starting over isn't a way to see the questions first
+   * @param {string} date - Date key of the challenge
+   */
+  static start(date) {
+    const results = this.getAll();
+    results[date] = { startedAt: Date.now(), completed: false };
+    ProfileStore.write(CONFIG.DAILY_STORAGE_KEY, results);
+  }
+
+  /**
+   * @param {string} date - Date key of the challenge
+   * @param {Object} result - `score`, `total`, `percentage` and `points`
+   */
+  static complete(date, result) {
+    const results = this.getAll();
+    results[date] = { ...results[date], ...result, completed: true, completedAt: Date.now() };
+    ProfileStore.write(CONFIG.DAILY_STORAGE_KEY, results);
+  }
+
+  static isCompleted(results, date) {
+    return Boolean(results[date] && results[date].completed);
+  }
+
+  /**
+   * Counts consecutive days with a completed challenge. Today only breaks
+   * the streak once it's over, so an unplayed today counts from yesterday.
+   * @param {Date} today - Current day
+   * @returns {number} Length of the current streak in days
+   */
+  static getStreak(today = new Date()) {
+    const results = this.getAll();
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (!this.isCompleted(results, Utils.getDateKey(day))) {
+      day.setDate(day.getDate() - 1);
+    }
+
+    let streak = 0;
+    while (this.isCompleted(results, Utils.getDateKey(day))) {
+      streak++;
+      day.setDate(day.getDate() - 1);
+    }
+    return streak;
+  }
+
+  /**
+   * @returns {number} Longest run of consecutive completed days
+   */
+  static getBestStreak() {
+    const results = this.getAll();
+    let best = 0;
+    Object.keys(results).filter(date => this.isCompleted(results, date)).forEach(date => {
+      const [year, month, dayOfMonth] = date.split('-').map(Number);
+      const previous = Utils.getDateKey(new Date(year, month - 1, dayOfMonth - 1));
+      // Only count forward from the first day of each run
+      if (this.isCompleted(results, previous)) {
+        return;
+      }
+
+      let length = 0;
+      const day = new Date(year, month - 1, dayOfMonth);
+      while (this.isCompleted(results, Utils.getDateKey(day))) {
+        length++;
+        day.setDate(day.getDate() + 1);
+      }
+      best = Math.max(best, length);
+    });
+    return best;
+  }
+}
+
+// Scoring Policies
+const scoringPolicies = new Map();
+
+/**
+ * Turns a correct answer into points. Subclasses can override `score`
+ * for rules that don't fit the base/speed/difficulty/streak model.
+ */
+class ScoringPolicy {
+  /**
+   * @param {string} id - Value stored in `settings.scoring`
+   * @param {string} label - Name shown in the scoring picker
+   * @param {Object} rules - `basePoints`, `timeBonus` (share of the base points
+   *   added for an instant answer), `difficultyMultipliers`, `streakBonus`
+   *   (points per consecutive correct answer) and `maxStreakBonus`
+   */
+  constructor(id, label, rules = {}) {
+    this.id = id;
+    this.label = label;
+    this.rules = {
+      basePoints: 1,
+      timeBonus: 0,
+      difficultyMultipliers: {},
+      streakBonus: 0,
+      maxStreakBonus: 0,
+      ...rules
+    };
+  }
+
+  static register(policy) {
+    scoringPolicies.set(policy.id, policy);
+  }
+
+  static get(id) {
+    return scoringPolicies.get(id) || scoringPolicies.get(CONFIG.DEFAULT_SCORING);
+  }
+
+  static getAll() {
+    return [...scoringPolicies.values()];
+  }
+
+  /**
+   * Breakdown for an answer that earns nothing
+   * @returns {Object} Zero points breakdown
+   */
+  static none() {
+    return { base: 0, speed: 0, multiplier: 1, streak: 0, penalty: 0, total: 0 };
+  }
+
+  /**
+   * Describes a points breakdown, e.g. "(100 base + 40 speed) × 1.5 + 20 streak = 170"
+   * @param {Object} points - Breakdown from `score`
+   * @returns {string} Human-readable calculation
+   */
+  static describe({ base, speed, multiplier, streak, penalty, total }) {
+    if (penalty) {
+      return `-${penalty} penalty`;
+    }
+    if (!total) {
+      return 'No points';
+    }
+
+    let text = speed ? `${base} base + ${speed} speed` : `${base} base`;
+    if (multiplier !== 1) {
+      text = `${speed ? `(${text})` : text} × ${multiplier}`;
+    }
+    if (streak) {
+      text += ` + ${streak} streak`;
+    }
+    return text === `${total} base` ? `${total} point${total === 1 ? '' : 's'}` : `${text} = ${total}`;
+  }
+
+  /**
+   * Points for one correct answer
+   * @param {Object} question - Question that was answered
+   * @param {Object} context - `timeLeft` and `timeLimit` in seconds, and the
+   *   `streak` including this answer
+   * @returns {Object} Breakdown with `base`, `speed`, `multiplier`, `streak` and `total`
+   */
+  score(question, { timeLeft, timeLimit, streak }) {
+    const { basePoints, timeBonus, difficultyMultipliers, streakBonus, maxStreakBonus } = this.rules;
+    const speed = Math.round(basePoints * timeBonus * Math.min(timeLeft / timeLimit, 1));
+    const multiplier = difficultyMultipliers[question.difficulty] ?? 1;
+    // The first answer of a streak earns no bonus
+    const streakPoints = Math.min((streak - 1) * streakBonus, maxStreakBonus);
+
+    return {
+      base: basePoints,
+      speed,
+      multiplier,
+      streak: streakPoints,
+      penalty: 0,
+      total: Math.round((basePoints + speed) * multiplier) + streakPoints
+    };
+  }
+
+  /**
+   * Points lost to negative marking
+   * @param {number} fraction - Share of a question's base points to deduct
+   * @returns {Object} Breakdown with a negative `total`
+   */
+  penalize(fraction) {
+    if (!fraction) {
+      return ScoringPolicy.none();
+    }
+
+    const penalty = Math.round(fraction * this.rules.basePoints * 100) / 100;
+    return { ...ScoringPolicy.none(), penalty, total: -penalty };
+  }
+}
+
+[
+  new ScoringPolicy('classic', 'Classic - 1 point per correct answer'),
+  new ScoringPolicy('speed', 'Speed - faster answers earn up to double', {
+    basePoints: CONFIG.SCORING_BASE_POINTS,
+    timeBonus: 1
+  }),
+  new ScoringPolicy('difficulty', 'Difficulty - harder questions are worth more', {
+    basePoints: CONFIG.SCORING_BASE_POINTS,
+    difficultyMultipliers: CONFIG.DIFFICULTY_MULTIPLIERS
+  }),
+  new ScoringPolicy('arcade', 'Arcade - speed, difficulty and streak bonuses', {
+    basePoints: CONFIG.SCORING_BASE_POINTS,
+    timeBonus: 0.5,
+    difficultyMultipliers: CONFIG.DIFFICULTY_MULTIPLIERS,
+    streakBonus: 10,
+    maxStreakBonus: 100
+  })
+].forEach(policy => ScoringPolicy.register(policy));
+
+// Achievements
+const achievements = new Map();
+
+/**
+ * Badges earned by playing. Each rule's `check` gets the finished `attempt`
+ * as stored in the history, the profile's solo `history` (including that
+ * attempt) and the names of all quiz `categories`.
+ */
+class Achievements {
+  /**
+   * @param {Object} rule - `id`, Font Awesome `icon`, `title`, `description`
+   *   and `check(context)`, which returns true once the badge is earned
+   */
+  static register(rule) {
+    achievements.set(rule.id, rule);
+  }
+
+  static getAll() {
+    return [...achievements.values()];
+  }
+
+  /**
+   * @returns {Object} Unlock times of the active profile's achievements, by id
+   */
+  static getUnlocked() {
+    return ProfileStore.read(CONFIG.ACHIEVEMENTS_STORAGE_KEY) || {};
+  }
+
+  /**
+   * Unlocks every achievement a finished quiz has earned
+   * @param {Object} context - `attempt`, `history` and `categories`
+   * @returns {Array<Object>} Rules unlocked just now
+   */
+  static evaluate(context) {
+    const unlocked = this.getUnlocked();
+    const earned = this.getAll().filter(rule => !unlocked[rule.id] && rule.check(context));
+
+    if (earned.length) {
+      earned.forEach(rule => {
+        unlocked[rule.id] = Date.now();
+      });
+      ProfileStore.write(CONFIG.ACHIEVEMENTS_STORAGE_KEY, unlocked);
+    }
+    return earned;
+  }
+}
+
+const isPerfect = answers => answers.length > 0 && answers.every(answer => answer.isCorrect);
+
+[
+  {
+    id: 'first-quiz',
+    icon: 'fa-flag-checkered',
+    title: 'First Steps',
+    description: 'Finish your first quiz',
+    check: ({ history }) => history.length >= 1
+  },
+  {
+    id: 'streak-10',
+    icon: 'fa-fire',
+    title: 'On Fire',
+    description: 'Answer 10 questions in a row correctly',
+    check: ({ attempt }) => attempt.bestStreak >= 10
+  },
+  {
+    id: 'perfect-quiz',
+    icon: 'fa-star',
+    title: 'Flawless',
+    description: 'Get every question right in a quiz of 10 or more questions',
+    check: ({ attempt }) => attempt.userAnswers.length >= 10 && isPerfect(attempt.userAnswers)
+  },
+  {
+    id: 'perfect-hard',
+    icon: 'fa-skull',
+    title: 'Hard Mode Hero',
+    description: 'Get every question right in a quiz of 5 or more hard questions',
+    check: ({ attempt }) => attempt.userAnswers.length >= 5 && isPerfect(attempt.userAnswers) &&
+      attempt.userAnswers.every(answer => answer.difficulty === 'hard')
+  },
+  {
+    id: 'lightning',
+    icon: 'fa-bolt',
+    title: 'Lightning Reflexes',
+    description: 'Answer every question of a 5+ question quiz in under 5 seconds',
+    check: ({ attempt }) => attempt.userAnswers.length >= 5 && attempt.userAnswers.every(answer =>
+      answer.outcome !== 'skipped' && answer.outcome !== 'timeout' && answer.timeSpent < 5)
+  },
+  {
+    id: 'globetrotter',
+    icon: 'fa-globe',
+    title: 'Globetrotter',
+    description: 'Answer questions from every category',
+    check: ({ history, categories }) => {
+      const attempted = new Set(history.flatMap(entry => entry.userAnswers.map(answer => answer.category)));
+      return categories.every(category => attempted.has(category));
+    }
+  },
+  {
+    id: 'regular',
+    icon: 'fa-calendar-check',
+    title: 'Regular',
+    description: 'Finish 10 quizzes',
+    check: ({ history }) => history.length >= 10
+  },
+  {
+    id: 'centurion',
+    icon: 'fa-shield-alt',
+    title: 'Centurion',
+    description: 'Answer 100 questions correctly',
+    check: ({ history }) => history.reduce((total, entry) => total + entry.score, 0) >= 100
+  },
+  {
+    id: 'high-scorer',
+    icon: 'fa-gem',
+    title: 'High Scorer',
+    description: 'Earn 1,000 points in a single quiz',
+    check: ({ attempt }) => attempt.points >= 1000
+  }
+].forEach(rule => Achievements.register(rule));
+
+// Custom Quiz Storage
+class CustomQuizStore {
+  static getAll() {
+    return ProfileStore.readShared(CONFIG.CUSTOM_QUIZZES_STORAGE_KEY) || [];
+  }
+
+  static get(id) {
+    return this.getAll().find(quiz => quiz.id === id) || null;
+  }
+
+  /**
+   * Creates or updates a custom quiz
+   * @param {Object} quiz - `title` and `questions`, plus `id` when updating
+   * @returns {Object} The stored quiz
+   */
+  static save(quiz) {
+    const entry = { ...quiz, id: quiz.id || Utils.generateId(), updatedAt: Date.now() };
+    const quizzes = this.getAll().filter(item => item.id !== entry.id);
+    ProfileStore.writeShared(CONFIG.CUSTOM_QUIZZES_STORAGE_KEY, [...quizzes, entry]);
+    return entry;
+  }
+
+  static remove(id) {
+    ProfileStore.writeShared(CONFIG.CUSTOM_QUIZZES_STORAGE_KEY, this.getAll().filter(quiz => quiz.id !== id));
+  }
+}
+
+// Quiz File Import
+class QuizImporter {
+  /**
+   * Parses an uploaded quiz file into questions in the ApiService shape
+   * @param {string} fileName - Used to pick the format from the extension
+   * @param {string} text - File contents
+   * @returns {{questions: Array, errors: Array<{line: number, message: string}>}}
+   */
+  static parse(fileName, text) {
+    const format = this.detectFormat(fileName, text);
+    const parsers = {
+      json: () => this.parseJson(text),
+      csv: () => this.parseCsv(text),
+      gift: () => this.parseGift(text),
+      aiken: () => this.parseAiken(text)
+    };
+
+    if (!parsers[format]) {
+      return { questions: [], errors: [{ line: 1, message: 'Unsupported file type. Use JSON, CSV, GIFT or Aiken.' }] };
+    }
+
+    const { entries, errors } = parsers[format]();
+    const questions = [];
+    entries.forEach(({ line, question }) => {
+      const problems = this.validateQuestion(question);
+      if (problems.length) {
+        problems.forEach(message => errors.push({ line, message }));
+      } else {
+        questions.push(ApiService.normalizeQuestion(question, questions.length));
+      }
+    });
+
+    if (!entries.length && !errors.length) {
+      errors.push({ line: 1, message: 'No questions found in the file.' });
+    }
+
+    return { questions, errors: errors.sort((a, b) => a.line - b.line) };
+  }
+
+  static detectFormat(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (['json', 'csv', 'gift', 'aiken'].includes(extension)) {
+      return extension;
+    }
+    if (extension === 'txt') {
+      return /^\s*ANSWER\s*:/im.test(text) ? 'aiken' : 'gift';
+    }
+    return null;
+  }
+
+  static validateQuestion(question) {
+    const problems = [];
+    const answers = [question.correct_answer, ...(question.incorrect_answers || [])];
+
+    if (!question.question) {
+      problems.push('Question text is missing.');
+    }
+    if (!question.correct_answer) {
+      problems.push('Correct answer is missing.');
+    }
+    if (!question.incorrect_answers || question.incorrect_answers.length === 0) {
+      problems.push('At least one wrong answer is required.');
+    }
+    if (new Set(answers).size !== answers.length) {
+      problems.push('Answers must all be different.');
+    }
+    if (question.difficulty && !CONFIG.DIFFICULTIES.includes(question.difficulty)) {
+      problems.push(`Unknown difficulty "${question.difficulty}". Use easy, medium or hard.`);
+    }
+    return problems;
+  }
+
+  static createQuestion(text, correctAnswer, incorrectAnswers, fields = {}) {
+    const answers = incorrectAnswers.map(answer => answer.trim()).filter(Boolean);
+    return {
+      // Formats without a type field get True/False when there's only one wrong answer
+      type: ApiService.getQuestionType({ type: fields.type, incorrect_answers: answers }),
+      category: fields.category || 'Imported',
+      difficulty: (fields.difficulty || 'medium').toLowerCase(),
+      question: text.trim(),
+      correct_answer: correctAnswer.trim(),
+      incorrect_answers: answers,
+      explanation: String(fields.explanation || '').trim()
+    };
+  }
+
+  static getLineAt(text, index) {
+    return text.slice(0, index).split('\n').length;
+  }
+
+  // JSON: an array of questions, or `{ questions: [] }` / `{ results: [] }`
+  static parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Browsers report either a line number or a character position
+      const line = /line (\d+)/.exec(error.message);
+      const position = /position (\d+)/.exec(error.message);
+      const errorLine = line ? Number(line[1]) : (position ? this.getLineAt(text, Number(position[1])) : 1);
+      return { entries: [], errors: [{ line: errorLine, message: `Invalid JSON: ${error.message}` }] };
+    }
+
+    const list = Array.isArray(data) ? data : (data && (data.questions || data.results));
+    if (!Array.isArray(list)) {
+      return { entries: [], errors: [{ line: 1, message: 'Expected a list of questions or an object with a "questions" list.' }] };
+    }
+
+    // Report each question at the line where its "question" key appears
+    const questionLines = [...text.matchAll(/"question"\s*:/g)].map(match => this.getLineAt(text, match.index));
+    const entries = list.map((item, index) => ({
+      line: questionLines[index] || 1,
+      question: item && typeof item === 'object' ? this.createQuestion(
+        String(item.question || ''),
+        String(item.correct_answer || ''),
+        Array.isArray(item.incorrect_answers) ? item.incorrect_answers.map(String) : [],
+        item
+      ) : {}
+    }));
+    return { entries, errors: [] };
+  }
+
+  // CSV: header row with question, correct_answer, incorrect_answer_1..n, category, difficulty
+  static parseCsv(text) {
+    const rows = this.splitCsvRows(text).filter(row => row.cells.some(cell => cell.trim()));
+    if (rows.length === 0) {
+      return { entries: [], errors: [] };
+    }
+
+    const headers = rows[0].cells.map(header => header.trim().toLowerCase().replace(/\s+/g, '_'));
+    const errors = ['question', 'correct_answer']
+      .filter(column => !headers.includes(column))
+      .map(column => ({ line: rows[0].line, message: `Missing "${column}" column in the header row.` }));
+    if (errors.length) {
+      return { entries: [], errors };
+    }
+
+    const entries = rows.slice(1).map(({ line, cells }) => {
+      const record = {};
+      const incorrect = [];
+      headers.forEach((header, index) => {
+        const value = cells[index] || '';
+        if (header.startsWith('incorrect')) {
+          incorrect.push(...value.split('|'));
+        } else {
+          record[header] = value.trim();
+        }
+      });
+      return { line, question: this.createQuestion(record.question, record.correct_answer, incorrect, record) };
+    });
+    return { entries, errors: [] };
+  }
+
+  static splitCsvRows(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        rows.push({ line: rowLine, cells: [...cells, cell] });
+        cells = [];
+        cell = '';
+        rowLine = line + 1;
+      } else if (char !== '\r') {
+        cell += char;
+      }
+      if (char === '\n') {
+        line++;
+      }
+    }
+    rows.push({ line: rowLine, cells: [...cells, cell] });
+    return rows;
+  }
+
+  // GIFT (Moodle): multiple choice `{=right ~wrong}` and true/false `{T}` / `{F}` questions
+  static parseGift(text) {
+    const entries = [];
+    const errors = [];
+    let category = '';
+
+    this.splitGiftBlocks(text).forEach(({ line, body }) => {
+      const categoryMatch = /^\$CATEGORY:\s*(.+)$/i.exec(body);
+      if (categoryMatch) {
+        category = categoryMatch[1].split('/').pop().trim();
+        return;
+      }
+
+      const open = this.findUnescaped(body, '{');
+      const close = open === -1 ? -1 : this.findUnescaped(body, '}', open);
+      if (open === -1 || close === -1) {
+        errors.push({ line, message: 'Missing answer block in { }.' });
+        return;
+      }
+
+      const before = body.slice(0, open).replace(/^::.*?::/s, '').replace(/^\[(html|moodle|plain|markdown)\]/, '').trim();
+      const after = body.slice(close + 1).trim();
+      const questionText = this.unescapeGift(after ? `${before} _____ ${after}` : before);
+      const answerBlock = body.slice(open + 1, close).trim();
+      const fields = { category };
+
+      const booleanMatch = /^(T|TRUE|F|FALSE)(\s*#.*)?$/is.exec(answerBlock);
+      if (booleanMatch) {
+        const isTrue = booleanMatch[1].toUpperCase().startsWith('T');
+        entries.push({ line, question: this.createQuestion(questionText, isTrue ? 'True' : 'False', [isTrue ? 'False' : 'True'], { ...fields, type: 'boolean' }) });
+        return;
+      }
+
+      const answers = this.splitGiftAnswers(answerBlock);
+      const correct = answers.filter(answer => answer.isCorrect);
+      if (correct.length !== 1 || answers.length < 2) {
+        errors.push({ line, message: 'Only multiple-choice questions with one =correct and at least one ~wrong answer, or {T}/{F} questions, are supported.' });
+        return;
+      }
+
+      entries.push({
+        line,
+        question: this.createQuestion(
+          questionText,
+          correct[0].text,
+          answers.filter(answer => !answer.isCorrect).map(answer => answer.text),
+          fields
+        )
+      });
+    });
+
+    return { entries, errors };
+  }
+
+  static splitGiftBlocks(text) {
+    const blocks = [];
+    let current = [];
+    let startLine = 1;
+    let depth = 0;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const lineText = rawLine.trim();
+      if (lineText.startsWith('//') && depth === 0) {
+        return;
+      }
+      if (!lineText && depth === 0) {
+        if (current.length) {
+          blocks.push({ line: startLine, body: current.join('\n') });
+        }
+        current = [];
+        return;
+      }
+      if (!current.length) {
+        startLine = index + 1;
+      }
+      // $CATEGORY lines stand alone even without a blank line after them
+      if (/^\$CATEGORY:/i.test(lineText) && depth === 0) {
+        blocks.push({ line: index + 1, body: lineText });
+        return;
+      }
+      current.push(rawLine);
+      depth += (lineText.match(/(^|[^\\]){/g) || []).length - (lineText.match(/(^|[^\\])}/g) || []).length;
+    });
+
+    if (current.length) {
+      blocks.push({ line: startLine, body: current.join('\n') });
+    }
+    return blocks;
+  }
+
+  static findUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text[i] === char) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  static splitGiftAnswers(block) {
+    const answers = [];
+    let current = null;
+
+    for (let i = 0; i < block.length; i++) {
+      const char = block[i];
+      if (char === '\\' && current) {
+        current.text += block.slice(i, i + 2);
+        i++;
+      } else if (char === '=' || char === '~') {
+        current = { isCorrect: char === '=', text: '' };
+        answers.push(current);
+      } else if (current) {
+        current.text += char;
+      }
+    }
+
+    return answers.map(answer => ({
+      isCorrect: answer.isCorrect,
+      // Drop feedback (#...) and answer weights (%50%)
+      text: this.unescapeGift(answer.text.split(/(?<!\\)#/)[0].replace(/^%-?[\d.]+%/, '').trim())
+    }));
+  }
+
+  static unescapeGift(text) {
+    return text.replace(/\\([~=#{}:n\\])/g, (match, char) => (char === 'n' ? '\n' : char)).trim();
+  }
+
+  // Aiken: question line, lettered options (A. / A)), then `ANSWER: X`
+  static parseAiken(text) {
+    const entries = [];
+    const errors = [];
+    let current = null;
+
+    const fail = message => {
+      errors.push({ line: current.line, message });
+      current = null;
+    };
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = index + 1;
+      const lineText = rawLine.trim();
+      if (!lineText) {
+        return;
+      }
+
+      const option = /^([A-Z])[.)]\s+(.+)$/.exec(lineText);
+      const answer = /^ANSWER\s*:\s*([A-Z])\s*$/i.exec(lineText);
+
+      if (answer) {
+        if (!current) {
+          errors.push({ line, message: 'ANSWER line without a question.' });
+          return;
+        }
+        const letter = answer[1].toUpperCase();
+        const correct = current.options.find(item => item.letter === letter);
+        if (current.options.length < 2) {
+          fail('A question needs at least two lettered options.');
+        } else if (!correct) {
+          errors.push({ line, message: `ANSWER ${letter} does not match any option.` });
+          current = null;
+        } else {
+          entries.push({
+            line: current.line,
+            question: this.createQuestion(
+              current.text,
+              correct.text,
+              current.options.filter(item => item !== correct).map(item => item.text)
+            )
+          });
+          current = null;
+        }
+      } else if (option && current) {
+        current.options.push({ letter: option[1], text: option[2] });
+      } else if (current && current.options.length) {
+        fail('Missing ANSWER line.');
+        current = { line, text: lineText, options: [] };
+      } else if (current) {
+        // Question text continues over several lines
+        current.text += ` ${lineText}`;
+      } else {
+        current = { line, text: lineText, options: [] };
+      }
+    });
+
+    if (current) {
+      fail('Missing ANSWER line.');
+    }
+    return { entries, errors };
+  }
+
+  static formatErrors(errors, limit = CONFIG.IMPORT_MAX_ERRORS) {
+    const lines = errors.slice(0, limit).map(error => `Line ${error.line}: ${error.message}`);
+    if (errors.length > limit) {
+      lines.push(`...and ${errors.length - limit} more`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// Active Quiz Persistence
+class SessionStore {
+  static save(state) {
+    // A live game can't be resumed once its room is gone
+    if (state.sessionType === 'live') {
+      return;
+    }
+    ProfileStore.write(CONFIG.SESSION_STORAGE_KEY, { savedAt: Date.now(), state: state.toSnapshot() });
+  }
+
+  /**
+   * Returns the saved quiz snapshot, or null when there is nothing to resume
+   * @returns {Object|null} Snapshot from QuizState.toSnapshot
+   */
+  static load() {
+    const session = ProfileStore.read(CONFIG.SESSION_STORAGE_KEY);
+    const snapshot = session && session.state;
+    return snapshot && Array.isArray(snapshot.questions) && snapshot.questions.length ? snapshot : null;
+  }
+
+  static clear() {
+    ProfileStore.erase(CONFIG.SESSION_STORAGE_KEY);
+  }
+}
+
+// Challenge Links
+class ChallengeLink {
+  /**
+   * Builds a link that replays a finished quiz for someone else
+   * @param {QuizState} state - State of the finished quiz
+   * @returns {string} URL carrying the question set and the score to beat
+   */
+  static create(state) {
+    const payload = {
+      v: CONFIG.CHALLENGE_VERSION,
+      label: state.label,
+      time: state.settings.timePerQuestion,
+      penalties: [state.settings.penaltyWrong, state.settings.penaltyUnanswered],
+      seed: state.seed,
+      score: state.getAdjustedScore(),
+      // Tuples rather than objects keep the link short
+      questions: state.questions.map(question => [
+        question.question,
+        question.correct_answer,
+        question.incorrect_answers,
+        question.category,
+        question.difficulty,
+        question.type
+      ])
+    };
+
+    const url = new URL(window.location.href);
+    url.hash = `${CONFIG.CHALLENGE_PARAM}=${Utils.toBase64Url(JSON.stringify(payload))}`;
+    return url.toString();
+  }
+
+  /**
+   * Reads a challenge from a location hash
+   * @param {string} hash - `window.location.hash`
+   * @returns {Object|null} Challenge, or null when the hash has none
+   * @throws {Error} When the link is damaged or carries invalid questions
+   */
+  static parse(hash) {
+    const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(CONFIG.CHALLENGE_PARAM);
+    if (!encoded) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Utils.fromBase64Url(encoded));
+    } catch (error) {
+      throw new Error('This challenge link is incomplete or damaged.');
+    }
+
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('This challenge link is incomplete or damaged.');
+    }
+    if (payload.v !== CONFIG.CHALLENGE_VERSION || !Array.isArray(payload.questions) || !payload.questions.length) {
+      throw new Error('This challenge link was made by a different version of QuizPro.');
+    }
+
+    const { label = '', seed, score, penalties = [0, 0] } = payload;
+    if (!payload.questions.every(tuple => this.isQuestionTuple(tuple)) || !Number.isFinite(score) ||
+      typeof label !== 'string' || (seed !== undefined && typeof seed !== 'string') ||
+      !Array.isArray(penalties) || penalties.length !== 2 || !penalties.every(Number.isFinite)) {
+      throw new Error('This challenge link is incomplete or damaged.');
+    }
+
+    const questions = payload.questions.map(([text, correct, incorrect, category, difficulty, type]) =>
+      QuizImporter.createQuestion(text, correct, incorrect, { category, difficulty, type }));
+    if (questions.some(question => QuizImporter.validateQuestion(question).length)) {
+      throw new Error('This challenge link contains invalid questions.');
+    }
+
+    return {
+      label,
+      timePerQuestion: payload.time,
+      penalties,
+      seed,
+      score,
+      total: questions.length,
+      questions
+    };
+  }
+
+  /**
+   * Checks the shape of a question tuple from `create`
+   * @param {*} tuple - Decoded tuple
+   * @returns {boolean} Whether the texts are strings and the wrong answers a list of strings
+   */
+  static isQuestionTuple(tuple) {
+    if (!Array.isArray(tuple)) {
+      return false;
+    }
+    const [text, correct, incorrect, ...fields] = tuple;
+    const isString = value => typeof value === 'string';
+    return isString(text) && isString(correct) && Array.isArray(incorrect) && incorrect.every(isString) &&
+      fields.every(field => field === undefined || field === null || isString(field));
+  }
+}
+
+// Spaced-Repetition Review Deck
+class ReviewDeck {
+  static getAll() {
+    return ProfileStore.read(CONFIG.DECK_STORAGE_KEY) || {};
+  }
+
+  static getDue(now = Date.now()) {
+    return Object.values(this.getAll())
+      .filter(card => card.due <= now)
+      .sort((a, b) => a.due - b.due);
+  }
+
+  /**
+   * Maps an answer to an SM-2 quality grade (0-5)
+   * @param {Object} answer - Answer record from userAnswers
+   * @param {number} timeLimit - Seconds allowed for the question
+   * @returns {number} Quality grade
+   */
+  static getQuality(answer, timeLimit) {
+    if (answer.isCorrect) {
+      return answer.timeSpent <= timeLimit / 3 ? 5 : 4;
+    }
+    return answer.userAnswer && answer.userAnswer !== 'Skipped' ? 1 : 0;
+  }
+
+  /**
+   * Adds missed questions to the deck and reschedules questions already in it
+   * @param {Object} question - Normalized question object
+   * @param {Object} answer - Answer record for the question
+   * @param {number} timeLimit - Seconds allowed for the question
+   */
+  static record(question, answer, timeLimit) {
+    const deck = this.getAll();
+    const card = deck[question.question];
+
+    if (card) {
+      deck[question.question] = this.schedule(card, this.getQuality(answer, timeLimit));
+    } else if (!answer.isCorrect) {
+      // New cards are due straight away so they can be reviewed in the next session
+      deck[question.question] = {
+        question,
+        easiness: CONFIG.DECK_INITIAL_EASINESS,
+        interval: 0,
+        repetitions: 0,
+        due: Date.now()
+      };
+    } else {
+      return;
+    }
+
+    ProfileStore.write(CONFIG.DECK_STORAGE_KEY, deck);
+  }
+
+  /**
+   * Applies the SM-2 algorithm to a card
+   * @param {Object} card - Deck card
+   * @param {number} quality - Quality grade (0-5)
+   * @returns {Object} The rescheduled card
+   */
+  static schedule(card, quality) {
+    let { easiness, interval, repetitions } = card;
+
+    if (quality >= 3) {
+      if (repetitions === 0) {
+        interval = 1;
+      } else if (repetitions === 1) {
+        interval = 6;
+      } else {
+        interval = Math.round(interval * easiness);
+      }
+      repetitions++;
+    } else {
+      repetitions = 0;
+      interval = 1;
+    }
+
+    easiness = Math.max(CONFIG.DECK_MIN_EASINESS, easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+      ...card,
+      easiness,
+      interval,
+      repetitions,
+      due: Date.now() + interval * CONFIG.DAY_MS
+    };
+  }
+}
+
+// Performance Analytics
+class Analytics {
+  /**
+   * Aggregates every answer in the history by category and difficulty
+   * @param {Array} history - Attempts from HistoryStore
+   * @returns {Object} Overall totals plus `byCategory` and `byDifficulty` groups
+   */
+  static summarize(history) {
+    const answers = history.flatMap(attempt => attempt.userAnswers.map(answer => ({
+      ...answer,
+      category: answer.category || 'Uncategorized',
+      difficulty: answer.difficulty || attempt.settings.difficulty || 'unknown'
+    })));
+
+    return {
+      quizzes: history.length,
+      ...this.aggregate(answers),
+      // Weakest subjects first
+      byCategory: this.groupBy(answers, 'category').sort((a, b) => a.accuracy - b.accuracy),
+      byDifficulty: this.groupBy(answers, 'difficulty')
+        .sort((a, b) => CONFIG.DIFFICULTY_ORDER.indexOf(a.key) - CONFIG.DIFFICULTY_ORDER.indexOf(b.key))
+    };
+  }
+
+  static groupBy(answers, field) {
+    const groups = new Map();
+    answers.forEach(answer => {
+      const key = answer[field];
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(answer);
+    });
+    return [...groups.entries()].map(([key, groupAnswers]) => ({ key, ...this.aggregate(groupAnswers) }));
+  }
+
+  static aggregate(answers) {
+    const correct = answers.filter(answer => answer.isCorrect).length;
+    const totalTime = answers.reduce((sum, answer) => sum + (answer.timeSpent || 0), 0);
+    return {
+      attempts: answers.length,
+      correct,
+      accuracy: answers.length ? Math.round((correct / answers.length) * 100) : 0,
+      avgTime: answers.length ? Math.round(totalTime / answers.length) : 0
+    };
+  }
+}
+
+// UI Components
+class UIComponents {
+  static showLoading(message = 'Loading...') {
+    const overlay = document.getElementById('loading-overlay');
+    const text = overlay.querySelector('p');
+    text.textContent = message;
+    overlay.classList.remove('hide');
+  }
+
+  static hideLoading() {
+    const overlay = document.getElementById('loading-overlay');
+    overlay.classList.add('hide');
+  }
+
+  static showError(title, message) {
+    const modal = document.getElementById('error-modal');
+    const titleElement = document.getElementById('error-title');
+    const messageElement = document.getElementById('error-message');
+
+    titleElement.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${Utils.escapeHtml(title)}`;
+    messageElement.textContent = message;
+    modal.classList.remove('hide');
+
+    // Focus management
+    const closeButton = document.getElementById('error-close');
+    closeButton.focus();
+  }
+
+  static hideError() {
+    const modal = document.getElementById('error-modal');
+    modal.classList.add('hide');
+  }
+
+  /**
+   * Asks the user to confirm a destructive action
+   * @param {string} title - Modal title
+   * @param {string} message - What will happen
+   * @param {string} confirmLabel - Text of the confirm button
+   * @returns {Promise<boolean>} Resolves true when confirmed, false when cancelled
+   */
+  static showConfirm(title, message, confirmLabel = 'Confirm') {
+    const modal = document.getElementById('confirm-modal');
+    document.getElementById('confirm-title').innerHTML =
+      `<i class="fas fa-question-circle"></i> ${Utils.escapeHtml(title)}`;
+    document.getElementById('confirm-message').textContent = message;
+    document.getElementById('confirm-ok').textContent = confirmLabel;
+    modal.classList.remove('hide');
+    document.getElementById('confirm-cancel').focus();
+
+    return new Promise(resolve => {
+      const handleClick = (e) => {
+        const confirmed = Boolean(e.target.closest('#confirm-ok'));
+        // Clicking the backdrop, Cancel or the close button counts as a no
+        if (!confirmed && e.target !== modal && !e.target.closest('#confirm-cancel, .modal-close')) {
+          return;
+        }
+        modal.removeEventListener('click', handleClick);
+        modal.classList.add('hide');
+        resolve(confirmed);
+      };
+      modal.addEventListener('click', handleClick);
+    });
+  }
+
+  static hideConfirm() {
+    document.getElementById('confirm-cancel').click();
+  }
+
+  static showToast(title, message, type = 'info', duration = 5000) {
+    const container = document.getElementById('toast-container');
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    
+    toast.innerHTML = `
+      <div class="toast-header">
+        <div class="toast-title">
+          <i class="fas fa-${this.getToastIcon(type)}"></i>
+          ${title}
+        </div>
+        <button class="toast-close" aria-label="Close notification">&times;</button>
+      </div>
+      <div class="toast-body">${message}</div>
+    `;
+
+    container.appendChild(toast);
+
+    // Auto remove
+    const timeoutId = setTimeout(() => {
+      toast.style.animation = 'toastSlideIn 0.3s ease-out reverse';
+      setTimeout(() => toast.remove(), 300);
+    }, duration);
+
+    // Manual close
+    const closeButton = toast.querySelector('.toast-close');
+    closeButton.addEventListener('click', () => {
+      clearTimeout(timeoutId);
+      toast.style.animation = 'toastSlideIn 0.3s ease-out reverse';
+      setTimeout(() => toast.remove(), 300);
+    });
+  }
+
+  static getToastIcon(type) {
+    const icons = {
+      success: 'check-circle',
+      error: 'exclamation-circle',
+      warning: 'exclamation-triangle',
+      info: 'info-circle'
+    };
+    return icons[type] || 'info-circle';
+  }
+
+  static updateProgressBar(percentage, timeLeft) {
+    const progressBar = document.querySelector('.progress-bar');
+    const progressText = document.querySelector('.progress-text');
+    
+    if (progressBar && progressText) {
+      progressBar.style.width = `${percentage}%`;
+      progressBar.setAttribute('aria-valuenow', percentage);
+      progressText.textContent = timeLeft;
+      
+      // Add visual feedback for low time
+      if (percentage < 20) {
+        progressBar.style.background = 'linear-gradient(135deg, #ef4444, #dc2626)';
+      } else if (percentage < 50) {
+        progressBar.style.background = 'linear-gradient(135deg, #f59e0b, #d97706)';
+      } else {
+        progressBar.style.background = 'linear-gradient(135deg, var(--primary-color), var(--primary-light))';
+      }
+    }
+  }
+
+  static updateScore(score, streak) {
+    const scoreElement = document.getElementById('current-score');
+    const streakElement = document.getElementById('current-streak');
+    
+    if (scoreElement) scoreElement.textContent = score;
+    if (streakElement) streakElement.textContent = streak;
+  }
+
+  static switchScreen(hideClass, showClass) {
+    document.querySelectorAll('.screen').forEach(screen => {
+      screen.classList.add('hide');
+    });
+    
+    const targetScreen = document.querySelector(`.${showClass}`);
+    if (targetScreen) {
+      targetScreen.classList.remove('hide');
+      // Focus management
+      const heading = targetScreen.querySelector('h1, .heading');
+      if (heading) heading.focus();
+    }
+  }
+}
+
+// Event Handlers
+class EventHandlers {
+  constructor(quizApp) {
+    this.quizApp = quizApp;
+    this.boundHandlers = {};
+    this.initializeEventListeners();
+  }
+
+  initializeEventListeners() {
+    // Form submission
+    this.addEventListenerSafe('quiz-settings', 'submit', this.handleStartQuiz.bind(this));
+    
+    // Button clicks
+    this.addEventListenerSafe('start-btn', 'click', this.handleStartQuiz.bind(this));
+    this.addEventListenerSafe('submit-btn', 'click', this.handleSubmitAnswer.bind(this));
+    this.addEventListenerSafe('next-btn', 'click', this.handleNextQuestion.bind(this));
+    this.addEventListenerSafe('skip-btn', 'click', this.handleSkipQuestion.bind(this));
+    this.addEventListenerSafe('retry-btn', 'click', this.handleRetryQuestion.bind(this));
+    this.addEventListenerSafe('show-answer-btn', 'click', this.handleShowAnswer.bind(this));
+    this.addEventListenerSafe('quit-btn', 'click', this.handleQuitQuiz.bind(this));
+    this.addEventListenerSafe('pause-btn', 'click', this.handleTogglePause.bind(this));
+    this.addEventListenerSafe('lifelines', 'click', this.handleUseLifeline.bind(this));
+    this.addEventListenerSafe('handoff-start-btn', 'click', this.handleStartTurn.bind(this));
+    this.addEventListenerSafe('scoreboard', 'click', this.handleScoreboardAction.bind(this));
+    this.addEventListenerSafe('hot-seat', 'change', this.handleHotSeatChange.bind(this));
+    this.addEventListenerSafe('game-mode', 'change', this.handleGameModeChange.bind(this));
+    this.addEventListenerSafe('resume-pause-btn', 'click', this.handleTogglePause.bind(this));
+    this.addEventListenerSafe('restart-btn', 'click', this.handleRestartQuiz.bind(this));
+    this.addEventListenerSafe('review-btn', 'click', this.handleShowReview.bind(this));
+    this.addEventListenerSafe('back-to-results', 'click', this.handleBackToResults.bind(this));
+    this.addEventListenerSafe('share-btn', 'click', this.handleShareResults.bind(this));
+    this.addEventListenerSafe('challenge-btn', 'click', this.handleShareChallenge.bind(this));
+    this.addEventListenerSafe('accept-challenge-btn', 'click', this.handleAcceptChallenge.bind(this));
+    this.addEventListenerSafe('dismiss-challenge-btn', 'click', this.handleDismissChallenge.bind(this));
+    this.addEventListenerSafe('history-btn', 'click', this.handleShowHistory.bind(this));
+    this.addEventListenerSafe('history-back', 'click', this.handleBackToStart.bind(this));
+    this.addEventListenerSafe('history-list', 'click', this.handleHistoryAction.bind(this));
+    this.addEventListenerSafe('review-due-btn', 'click', this.handleStartReviewSession.bind(this));
+    this.addEventListenerSafe('daily-btn', 'click', this.handleStartDailyChallenge.bind(this));
+    this.addEventListenerSafe('daily-calendar-btn', 'click', this.handleShowDailyCalendar.bind(this));
+    this.addEventListenerSafe('daily-back', 'click', this.handleBackToStart.bind(this));
+    this.addEventListenerSafe('daily-prev', 'click', () => this.quizApp.changeDailyMonth(-1));
+    this.addEventListenerSafe('daily-next', 'click', () => this.quizApp.changeDailyMonth(1));
+    this.addEventListenerSafe('resume-btn', 'click', this.handleResumeQuiz.bind(this));
+    this.addEventListenerSafe('discard-session-btn', 'click', this.handleDiscardSession.bind(this));
+    this.addEventListenerSafe('dashboard-btn', 'click', this.handleShowDashboard.bind(this));
+    this.addEventListenerSafe('editor-btn', 'click', this.handleShowEditor.bind(this));
+    this.addEventListenerSafe('editor-back', 'click', this.handleBackToStart.bind(this));
+    this.addEventListenerSafe('editor-quiz-select', 'change', this.handleEditorSelect.bind(this));
+    this.addEventListenerSafe('editor-title', 'input', this.handleEditorTitle.bind(this));
+    this.addEventListenerSafe('editor-questions', 'input', this.handleEditorInput.bind(this));
+    this.addEventListenerSafe('editor-questions', 'click', this.handleEditorAction.bind(this));
+    this.addEventListenerSafe('editor-add-btn', 'click', this.handleEditorAdd.bind(this));
+    this.addEventListenerSafe('editor-save-btn', 'click', this.handleEditorSave.bind(this));
+    this.addEventListenerSafe('editor-delete-btn', 'click', this.handleEditorDelete.bind(this));
+    this.addEventListenerSafe('profile-select', 'change', this.handleSwitchProfile.bind(this));
+    this.addEventListenerSafe('profiles-btn', 'click', this.handleShowProfiles.bind(this));
+    this.addEventListenerSafe('profiles-back', 'click', this.handleBackToStart.bind(this));
+    this.addEventListenerSafe('profile-list', 'click', this.handleProfileAction.bind(this));
+    this.addEventListenerSafe('profile-form', 'submit', this.handleCreateProfile.bind(this));
+    this.addEventListenerSafe('achievements-btn', 'click', this.handleShowAchievements.bind(this));
+    this.addEventListenerSafe('achievements-back', 'click', this.handleBackToStart.bind(this));
+    this.addEventListenerSafe('leaderboard-btn', 'click', this.handleShowLeaderboards.bind(this));
+    this.addEventListenerSafe('leaderboard-back', 'click', this.handleBackToStart.bind(this));
+    this.addEventListenerSafe('leaderboard-filters', 'change', this.handleLeaderboardFilter.bind(this));
+    this.addEventListenerSafe('leaderboard-reset-btn', 'click', this.handleResetLeaderboards.bind(this));
+    this.addEventListenerSafe('survival-reset-btn', 'click', this.handleResetSurvivalScores.bind(this));
+    this.addEventListenerSafe('leaderboard-entry', 'submit', this.handleSaveLeaderboardEntry.bind(this));
+    this.addEventListenerSafe('live-btn', 'click', this.handleShowLive.bind(this));
+    this.addEventListenerSafe('live-back', 'click', this.handleLeaveLive.bind(this));
+    this.addEventListenerSafe('live-host-btn', 'click', this.handleHostLive.bind(this));
+    this.addEventListenerSafe('live-join-form', 'submit', this.handleJoinLive.bind(this));
+    this.addEventListenerSafe('live-start-btn', 'click', this.handleStartLive.bind(this));
+    this.addEventListenerSafe('reveal-btn', 'click', this.handleSubmitAnswer.bind(this));
+    this.addEventListenerSafe('buzzer-answers', 'click', this.handleBuzzerAnswer.bind(this));
+    this.addEventListenerSafe('buzzer-leave', 'click', this.handleLeaveLive.bind(this));
+    this.addEventListenerSafe('import-btn', 'click', () => document.getElementById('import-file').click());
+    this.addEventListenerSafe('import-file', 'change', this.handleImportFile.bind(this));
+    this.addEventListenerSafe('dashboard-back', 'click', this.handleBackToStart.bind(this));
+    this.addEventListenerSafe('source', 'change', this.handleSourceChange.bind(this));
+    this.addEventListenerSafe('quiz-settings', 'change', this.handleSettingsChange.bind(this));
+    this.addEventListenerSafe('download-pack-btn', 'click', this.handleDownloadPack.bind(this));
+    
+    // Modal events
+    this.addEventListenerSafe('error-close', 'click', UIComponents.hideError);
+    this.addEventListenerSafe('error-modal', 'click', (e) => {
+      if (e.target.id === 'error-modal') UIComponents.hideError();
+    });
+
+    // Keyboard navigation
+    document.addEventListener('keydown', this.handleKeyboard.bind(this));
+    
+    // Window events
+    window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
+    window.addEventListener('pagehide', () => this.quizApp.saveSession());
+    document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
+    window.addEventListener('online', () => UIComponents.showToast('Connection', 'You are back online!', 'success'));
+    window.addEventListener('offline', () => UIComponents.showToast('Connection', 'You are offline. Some features may not work.', 'warning'));
+  }
+
+  addEventListenerSafe(id, event, handler) {
+    const element = document.getElementById(id);
+    if (element) {
+      element.addEventListener(event, handler);
+      this.boundHandlers[id] = this.boundHandlers[id] || {};
+      this.boundHandlers[id][event] = handler;
+    }
+  }
+
+  handleStartQuiz(e) {
+    e.preventDefault();
+    this.quizApp.startQuiz();
+  }
+
+  handleStartReviewSession() {
+    this.quizApp.startReviewSession();
+  }
+
+  handleStartDailyChallenge() {
+    this.quizApp.startDailyChallenge();
+  }
+
+  handleShowDailyCalendar() {
+    this.quizApp.showDailyCalendar();
+  }
+
+  handleResumeQuiz() {
+    this.quizApp.resumeQuiz();
+  }
+
+  async handleDiscardSession() {
+    if (await UIComponents.showConfirm('Discard Quiz', 'Discard your unfinished quiz?', 'Discard')) {
+      this.quizApp.discardSession();
+    }
+  }
+
+  handleSubmitAnswer() {
+    this.quizApp.submitAnswer();
+  }
+
+  handleNextQuestion() {
+    this.quizApp.nextQuestion();
+  }
+
+  handleSkipQuestion() {
+    this.quizApp.skipQuestion();
+  }
+
+  handleRetryQuestion() {
+    this.quizApp.retryQuestion();
+  }
+
+  handleShowAnswer() {
+    this.quizApp.revealPracticeAnswer();
+  }
+
+  handleQuitQuiz() {
+    if (confirm('Are you sure you want to quit the quiz? Your progress will be lost.')) {
+      this.quizApp.quitQuiz();
+    }
+  }
+
+  handleTogglePause() {
+    this.quizApp.togglePause();
   }
 
   handleRestartQuiz() {
     this.quizApp.restartQuiz();
   }
 
-  handleShowReview() {
-    this.quizApp.showReview();
+  handleShowReview() {
+    this.quizApp.showReview();
+  }
+
+  handleBackToResults() {
+    this.quizApp.leaveReview();
+  }
+
+  handleShowHistory() {
+    this.quizApp.showHistory();
+  }
+
+  handleImportFile(e) {
+    const [file] = e.target.files;
+    if (file) {
+      this.quizApp.importQuiz(file);
+    }
+    // Allow picking the same file again after fixing it
+    e.target.value = '';
+  }
+
+  handleShowEditor() {
+    this.quizApp.showEditor();
+  }
+
+  handleEditorSelect(e) {
+    this.quizApp.editor.load(e.target.value);
+  }
+
+  handleEditorTitle(e) {
+    this.quizApp.editor.updateTitle(e.target.value);
+  }
+
+  handleEditorInput(e) {
+    const card = e.target.closest('[data-index]');
+    const { field, answerIndex } = e.target.dataset;
+    if (card && field) {
+      this.quizApp.editor.updateField(Number(card.dataset.index), field, e.target.value, answerIndex);
+    }
+  }
+
+  handleEditorAction(e) {
+    const button = e.target.closest('[data-action]');
+    const card = e.target.closest('[data-index]');
+    if (!button || !card) {
+      return;
+    }
+
+    const index = Number(card.dataset.index);
+    const editor = this.quizApp.editor;
+    const actions = {
+      up: () => editor.moveQuestion(index, -1),
+      down: () => editor.moveQuestion(index, 1),
+      duplicate: () => editor.duplicateQuestion(index),
+      delete: () => editor.deleteQuestion(index)
+    };
+    if (actions[button.dataset.action]) {
+      actions[button.dataset.action]();
+    }
+  }
+
+  handleEditorAdd() {
+    this.quizApp.editor.addQuestion();
+  }
+
+  handleEditorSave() {
+    this.quizApp.editor.save();
+  }
+
+  async handleEditorDelete() {
+    if (await UIComponents.showConfirm('Delete Quiz', 'Delete this quiz? This cannot be undone.', 'Delete')) {
+      this.quizApp.editor.deleteQuiz();
+    }
+  }
+
+  handleSwitchProfile(e) {
+    this.quizApp.switchProfile(e.target.value);
+  }
+
+  handleShowProfiles() {
+    this.quizApp.showProfiles();
+  }
+
+  handleCreateProfile(e) {
+    e.preventDefault();
+    this.quizApp.createProfile();
+  }
+
+  async handleProfileAction(e) {
+    const button = e.target.closest('[data-action]');
+    const item = e.target.closest('[data-profile]');
+    if (!button || !item) {
+      return;
+    }
+
+    const { action } = button.dataset;
+    const id = item.dataset.profile;
+    if (action === 'switch') {
+      this.quizApp.switchProfile(id);
+    } else if (action === 'export') {
+      this.quizApp.exportProfile(id);
+    } else if (action === 'delete' && await UIComponents.showConfirm(
+      'Delete Profile',
+      'Delete this profile with its settings, history and review deck? This cannot be undone.',
+      'Delete'
+    )) {
+      this.quizApp.deleteProfile(id);
+    }
+  }
+
+  handleShowAchievements() {
+    this.quizApp.showAchievements();
+  }
+
+  handleShowLeaderboards() {
+    this.quizApp.showLeaderboards();
+  }
+
+  handleLeaderboardFilter() {
+    this.quizApp.renderLeaderboards();
+  }
+
+  async handleResetLeaderboards() {
+    if (await UIComponents.showConfirm('Reset Leaderboards', 'Clear the leaderboards shown? This cannot be undone.', 'Clear')) {
+      this.quizApp.resetLeaderboards();
+    }
+  }
+
+  async handleResetSurvivalScores() {
+    if (await UIComponents.showConfirm('Reset High Scores', 'Clear the survival high scores? This cannot be undone.', 'Clear')) {
+      this.quizApp.resetSurvivalScores();
+    }
+  }
+
+  handleSaveLeaderboardEntry(e) {
+    e.preventDefault();
+    this.quizApp.saveLeaderboardEntry();
+  }
+
+  handleShowLive() {
+    this.quizApp.live.open();
+  }
+
+  handleLeaveLive() {
+    this.quizApp.live.leave();
+    this.quizApp.showStartScreen();
+  }
+
+  handleHostLive() {
+    this.quizApp.live.host();
+  }
+
+  handleJoinLive(e) {
+    e.preventDefault();
+    this.quizApp.live.join();
+  }
+
+  handleStartLive() {
+    this.quizApp.live.startGame();
+  }
+
+  handleBuzzerAnswer(e) {
+    const button = e.target.closest('.buzzer-answer');
+    if (button) {
+      this.quizApp.live.answer(button);
+    }
+  }
+
+  handleShowDashboard() {
+    this.quizApp.showDashboard();
+  }
+
+  handleBackToStart() {
+    this.quizApp.showStartScreen();
+  }
+
+  async handleHistoryAction(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) {
+      return;
+    }
+
+    const { action, id } = button.dataset;
+    if (action === 'review') {
+      this.quizApp.reviewAttempt(id);
+    } else if (action === 'replay') {
+      this.quizApp.replayAttempt(id);
+    } else if (action === 'delete' &&
+        await UIComponents.showConfirm('Delete Quiz', 'Delete this quiz from your history?', 'Delete')) {
+      this.quizApp.deleteAttempt(id);
+    }
+  }
+
+  handleUseLifeline(e) {
+    const button = e.target.closest('[data-lifeline]');
+    if (button) {
+      this.quizApp.useLifeline(button.dataset.lifeline);
+    }
+  }
+
+  handleStartTurn() {
+    this.quizApp.startTurn();
+  }
+
+  handleScoreboardAction(e) {
+    const button = e.target.closest('[data-action="review"]');
+    if (button) {
+      this.quizApp.reviewPlayer(Number(button.closest('[data-player]').dataset.player));
+    }
+  }
+
+  handleHotSeatChange() {
+    this.quizApp.updateHotSeatFields();
+  }
+
+  handleGameModeChange() {
+    this.quizApp.updateModeFields();
+  }
+
+  handleShareResults() {
+    this.quizApp.shareResults();
+  }
+
+  handleShareChallenge() {
+    this.quizApp.shareChallenge();
+  }
+
+  handleAcceptChallenge() {
+    this.quizApp.acceptChallenge();
+  }
+
+  handleDismissChallenge() {
+    this.quizApp.dismissChallenge();
+  }
+
+  handleSourceChange() {
+    this.quizApp.updateSourceFields();
+  }
+
+  handleSettingsChange() {
+    this.quizApp.updatePackStatus();
+  }
+
+  handleDownloadPack() {
+    this.quizApp.downloadPack();
+  }
+
+  handleKeyboard(e) {
+    // P pauses and resumes the quiz
+    if (e.key && e.key.toLowerCase() === 'p' && !e.ctrlKey && !e.metaKey && this.quizApp.state.isQuizActive) {
+      e.preventDefault();
+      this.handleTogglePause();
+      return;
+    }
+
+    // Answer shortcuts are disabled while paused
+    if (this.quizApp.state.isPaused) {
+      return;
+    }
+
+    // Global keyboard shortcuts
+    if (e.ctrlKey || e.metaKey) {
+      switch (e.key) {
+        case 'Enter':
+          if (this.quizApp.state.isQuizActive && !this.quizApp.state.isAnswered) {
+            e.preventDefault();
+            this.handleSubmitAnswer();
+          }
+          break;
+        case 'n':
+          if (this.quizApp.state.isAnswered) {
+            e.preventDefault();
+            this.handleNextQuestion();
+          }
+          break;
+      }
+    }
+
+    // Escape key
+    if (e.key === 'Escape') {
+      const modal = document.querySelector('.modal:not(.hide)');
+      if (modal && modal.id === 'confirm-modal') {
+        UIComponents.hideConfirm();
+      } else if (modal) {
+        UIComponents.hideError();
+      }
+    }
+
+    // Number keys for answers (1-4), T/F for True/False questions
+    if (this.quizApp.state.isQuizActive && !this.quizApp.state.isAnswered && !e.ctrlKey && !e.metaKey) {
+      const answers = document.querySelectorAll('.answer');
+      const num = parseInt(e.key, 10);
+      const shortcut = document.querySelector(`.answer[data-shortcut="${e.key.toLowerCase()}"]`);
+      if (num >= 1 && num <= answers.length) {
+        answers[num - 1].click();
+      } else if (shortcut) {
+        shortcut.click();
+      }
+    }
+  }
+
+  // The timer isn't saved on every tick, so save it when the page is hidden or closed
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.quizApp.saveSession();
+    }
+  }
+
+  handleBeforeUnload(e) {
+    if (this.quizApp.state.isQuizActive && this.quizApp.state.currentQuestionIndex > 0) {
+      e.preventDefault();
+      e.returnValue = 'You have an active quiz. Are you sure you want to leave?';
+      return e.returnValue;
+    }
+  }
+}
+
+// Quiz Editor
+class QuizEditor {
+  constructor(quizApp) {
+    this.quizApp = quizApp;
+    this.quiz = this.createEmptyQuiz();
+  }
+
+  createEmptyQuiz() {
+    return { id: '', title: '', questions: [this.createEmptyQuestion()] };
+  }
+
+  createEmptyQuestion() {
+    return {
+      type: 'multiple',
+      question: '',
+      correct_answer: '',
+      incorrect_answers: ['', '', ''],
+      category: '',
+      difficulty: 'medium',
+      explanation: ''
+    };
+  }
+
+  open(id = '') {
+    const select = document.getElementById('editor-quiz-select');
+    select.innerHTML = '<option value="">New quiz</option>' + CustomQuizStore.getAll()
+      .map(quiz => `<option value="${quiz.id}">${Utils.escapeHtml(quiz.title)}</option>`)
+      .join('');
+    select.value = id;
+    this.load(id);
+  }
+
+  load(id) {
+    const saved = id && CustomQuizStore.get(id);
+    this.quiz = saved ? JSON.parse(JSON.stringify(saved)) : this.createEmptyQuiz();
+    // Always show three wrong-answer fields for multiple-choice questions
+    this.quiz.questions.forEach(question => {
+      if (question.type !== 'boolean') {
+        question.incorrect_answers = [...question.incorrect_answers, '', '', ''].slice(0, 3);
+      }
+    });
+    document.getElementById('editor-title').value = this.quiz.title;
+    document.getElementById('editor-delete-btn').classList.toggle('hide', !this.quiz.id);
+    this.render();
+  }
+
+  updateTitle(title) {
+    this.quiz.title = title;
+    this.validate();
+  }
+
+  updateField(index, field, value, answerIndex) {
+    const question = this.quiz.questions[index];
+
+    if (field === 'type') {
+      question.type = value;
+      question.correct_answer = value === 'boolean' ? 'True' : '';
+      question.incorrect_answers = value === 'boolean' ? ['False'] : ['', '', ''];
+      this.render();
+      return;
+    }
+
+    if (field === 'incorrect_answers') {
+      question.incorrect_answers[Number(answerIndex)] = value;
+    } else {
+      question[field] = value;
+    }
+
+    if (question.type === 'boolean' && field === 'correct_answer') {
+      question.incorrect_answers = [value === 'True' ? 'False' : 'True'];
+    }
+    this.validate();
+  }
+
+  addQuestion() {
+    const last = this.quiz.questions[this.quiz.questions.length - 1];
+    // New questions inherit the category and difficulty of the previous one
+    this.quiz.questions.push({
+      ...this.createEmptyQuestion(),
+      category: last ? last.category : '',
+      difficulty: last ? last.difficulty : 'medium'
+    });
+    this.render();
+    this.focusQuestion(this.quiz.questions.length - 1);
+  }
+
+  moveQuestion(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.quiz.questions.length) {
+      return;
+    }
+
+    const questions = this.quiz.questions;
+    [questions[index], questions[target]] = [questions[target], questions[index]];
+    this.render();
+    this.focusQuestion(target);
+  }
+
+  duplicateQuestion(index) {
+    const copy = JSON.parse(JSON.stringify(this.quiz.questions[index]));
+    this.quiz.questions.splice(index + 1, 0, copy);
+    this.render();
+    this.focusQuestion(index + 1);
+  }
+
+  deleteQuestion(index) {
+    this.quiz.questions.splice(index, 1);
+    this.render();
+  }
+
+  focusQuestion(index) {
+    const field = document.querySelector(`#editor-questions [data-index="${index}"] [data-field="question"]`);
+    if (field) {
+      field.focus();
+    }
+  }
+
+  toQuestion(question) {
+    return QuizImporter.createQuestion(
+      question.question,
+      question.correct_answer,
+      question.incorrect_answers,
+      { ...question, category: question.category.trim() || 'Custom' }
+    );
+  }
+
+  getErrors() {
+    return {
+      quiz: [
+        ...(this.quiz.title.trim() ? [] : ['Give the quiz a title.']),
+        ...this.quizApp.getSettingsErrors({ numQuestions: this.quiz.questions.length })
+      ],
+      questions: this.quiz.questions.map(question => QuizImporter.validateQuestion(this.toQuestion(question)))
+    };
+  }
+
+  validate() {
+    const errors = this.getErrors();
+
+    document.querySelectorAll('#editor-questions [data-index]').forEach(card => {
+      const problems = errors.questions[Number(card.dataset.index)] || [];
+      card.classList.toggle('invalid', problems.length > 0);
+      card.querySelector('.editor-errors').innerHTML = problems
+        .map(problem => `<li>${Utils.escapeHtml(problem)}</li>`)
+        .join('');
+    });
+
+    const invalidCount = errors.questions.filter(problems => problems.length).length;
+    const summary = [
+      ...errors.quiz,
+      ...(invalidCount ? [`${invalidCount} question${invalidCount === 1 ? ' needs' : 's need'} attention.`] : [])
+    ];
+    document.getElementById('editor-summary').innerHTML = summary
+      .map(problem => `<li>${Utils.escapeHtml(problem)}</li>`)
+      .join('');
+    document.getElementById('editor-save-btn').disabled = summary.length > 0;
+
+    return summary.length === 0;
+  }
+
+  render() {
+    const list = document.getElementById('editor-questions');
+    list.innerHTML = this.quiz.questions.map((question, index) => this.renderQuestion(question, index)).join('');
+    this.validate();
+  }
+
+  renderQuestion(question, index) {
+    const number = index + 1;
+    const last = this.quiz.questions.length - 1;
+    const option = (value, label, selected) =>
+      `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+
+    const answers = question.type === 'boolean' ?
+      `<select class="form-control" data-field="correct_answer" aria-label="Correct answer for question ${number}">
+        ${option('True', 'True', question.correct_answer)}
+        ${option('False', 'False', question.correct_answer)}
+      </select>` :
+      `<input type="text" class="form-control correct" data-field="correct_answer" value="${Utils.escapeHtml(question.correct_answer)}"
+        placeholder="Correct answer" aria-label="Correct answer for question ${number}" />
+      ${question.incorrect_answers.map((answer, answerIndex) => `
+        <input type="text" class="form-control" data-field="incorrect_answers" data-answer-index="${answerIndex}"
+          value="${Utils.escapeHtml(answer)}" placeholder="Wrong answer ${answerIndex + 1}"
+          aria-label="Wrong answer ${answerIndex + 1} for question ${number}" />
+      `).join('')}`;
+
+    return `
+      <div class="editor-question" data-index="${index}">
+        <div class="editor-question-header">
+          <strong>Question ${number}</strong>
+          <div class="editor-question-actions">
+            <button type="button" class="btn btn-link" data-action="up" aria-label="Move question ${number} up" ${index === 0 ? 'disabled' : ''}>
+              <i class="fas fa-arrow-up"></i>
+            </button>
+            <button type="button" class="btn btn-link" data-action="down" aria-label="Move question ${number} down" ${index === last ? 'disabled' : ''}>
+              <i class="fas fa-arrow-down"></i>
+            </button>
+            <button type="button" class="btn btn-link" data-action="duplicate" aria-label="Duplicate question ${number}">
+              <i class="fas fa-copy"></i>
+            </button>
+            <button type="button" class="btn btn-link" data-action="delete" aria-label="Delete question ${number}">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </div>
+        <textarea class="form-control" data-field="question" rows="2" placeholder="Question text"
+          aria-label="Question ${number} text">${Utils.escapeHtml(question.question)}</textarea>
+        <div class="editor-row">
+          <select class="form-control" data-field="type" aria-label="Type of question ${number}">
+            ${option('multiple', 'Multiple Choice', question.type)}
+            ${option('boolean', 'True / False', question.type)}
+          </select>
+          <select class="form-control" data-field="difficulty" aria-label="Difficulty of question ${number}">
+            ${CONFIG.DIFFICULTIES.map(difficulty => option(difficulty, difficulty, question.difficulty)).join('')}
+          </select>
+          <input type="text" class="form-control" data-field="category" value="${Utils.escapeHtml(question.category)}"
+            placeholder="Category" aria-label="Category of question ${number}" />
+        </div>
+        <div class="editor-answers">${answers}</div>
+        <textarea class="form-control" data-field="explanation" rows="2" placeholder="Explanation (optional, shown in practice mode)"
+          aria-label="Explanation for question ${number}">${Utils.escapeHtml(question.explanation || '')}</textarea>
+        <ul class="editor-errors" aria-live="polite"></ul>
+      </div>
+    `;
+  }
+
+  save() {
+    if (!this.validate()) {
+      return;
+    }
+
+    const saved = CustomQuizStore.save({
+      id: this.quiz.id,
+      title: this.quiz.title.trim(),
+      questions: this.quiz.questions.map(question => this.toQuestion(question))
+    });
+
+    this.quizApp.populateSavedQuizzes();
+    this.open(saved.id);
+    UIComponents.showToast('Quiz Saved', `"${Utils.escapeHtml(saved.title)}" is now available as a question source.`, 'success');
+  }
+
+  deleteQuiz() {
+    if (!this.quiz.id) {
+      return;
+    }
+
+    CustomQuizStore.remove(this.quiz.id);
+    this.quizApp.populateSavedQuizzes();
+    this.open();
+    UIComponents.showToast('Quiz Deleted', 'The quiz was removed.', 'info');
+  }
+}
+
+// Live Buzzer Games
+class LiveGame {
+  constructor(quizApp) {
+    this.quizApp = quizApp;
+    this.reset();
+  }
+
+  reset() {
+    this.socket = null;
+    this.role = '';
+    this.code = '';
+    this.name = '';
+    this.questions = [];
+    this.players = [];
+    this.buzzes = [];
+    this.results = null;
+    this.seed = '';
+  }
+
+  /**
+   * The buzzer server normally runs next to the app, so participants on
+   * other devices reach it through the same host name
+   * @returns {string} WebSocket URL of the buzzer server
+   */
+  static getDefaultServerUrl() {
+    return `ws://${window.location.hostname || 'localhost'}:${CONFIG.LIVE_SERVER_PORT}`;
+  }
+
+  open() {
+    document.getElementById('live-server').value = this.quizApp.state.settings.liveServerUrl || LiveGame.getDefaultServerUrl();
+    this.showPanel('setup');
+    UIComponents.switchScreen('start-screen', 'live-screen');
+  }
+
+  showPanel(panel) {
+    document.getElementById('live-setup').classList.toggle('hide', panel !== 'setup');
+    document.getElementById('live-lobby').classList.toggle('hide', panel !== 'lobby');
+  }
+
+  /**
+   * Opens a connection to the buzzer server
+   * @param {string} url - WebSocket URL
+   * @returns {Promise<WebSocket>} Resolves once the connection is open
+   */
+  connect(url) {
+    this.quizApp.saveSettings({ liveServerUrl: url });
+
+    return new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new WebSocket(url);
+      } catch (error) {
+        reject(new Error(`${url} is not a valid WebSocket address`));
+        return;
+      }
+
+      socket.addEventListener('open', () => {
+        this.socket = socket;
+        resolve(socket);
+      });
+      socket.addEventListener('error', () => {
+        reject(new Error(`Could not reach the buzzer server at ${url}. Start it with "npm run server".`));
+      });
+      socket.addEventListener('message', event => {
+        const message = LiveGame.parseMessage(event.data);
+        if (message) {
+          this.handleMessage(message);
+        }
+      });
+      socket.addEventListener('close', () => this.handleClose(socket));
+    });
+  }
+
+  /**
+   * Reads a message from the buzzer server
+   * @param {string} data - Raw message
+   * @returns {Object|null} The message, or null when it isn't a JSON object with a type
+   */
+  static parseMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+    const isObject = Boolean(message) && typeof message === 'object' && !Array.isArray(message);
+    return isObject && typeof message.type === 'string' ? message : null;
+  }
+
+  static isValidQuestion({ index, total, answers }) {
+    return Number.isInteger(index) && Number.isInteger(total) &&
+      Array.isArray(answers) && answers.every(answer => typeof answer === 'string');
+  }
+
+  send(type, data = {}) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type, ...data }));
+    }
+  }
+
+  /**
+   * Creates a room for the quiz configured on the start screen
+   */
+  async host() {
+    const { quizApp } = this;
+    const serverUrl = document.getElementById('live-server').value.trim();
+    // Drop any earlier connection, such as a join that was turned down
+    this.leave();
+
+    try {
+      quizApp.collectSettings();
+      quizApp.saveSettings();
+      if (!quizApp.validateSettings()) {
+        return;
+      }
+
+      UIComponents.showLoading('Creating live game...');
+      const seed = quizApp.state.settings.seed || Utils.generateId();
+      this.questions = await quizApp.loadQuestions({ ...quizApp.getQuestionOptions(), random: Utils.createRandom(seed) });
+      if (this.questions.length === 0) {
+        throw new Error('No questions received from the server');
+      }
+      this.seed = seed;
+
+      await this.connect(serverUrl);
+      this.role = 'host';
+      this.send('create');
+    } catch (error) {
+      UIComponents.hideLoading();
+      UIComponents.showError('Failed to Host Game', error.message);
+      this.leave();
+    }
+  }
+
+  async join() {
+    const serverUrl = document.getElementById('live-server').value.trim();
+    const code = document.getElementById('live-code').value.trim().toUpperCase();
+    const name = document.getElementById('live-name').value.trim();
+
+    if (!code || !name) {
+      UIComponents.showError('Join Game', 'Enter the room code shown on the host\'s screen and your name.');
+      return;
+    }
+
+    this.leave();
+    try {
+      UIComponents.showLoading('Joining live game...');
+      await this.connect(serverUrl);
+      this.role = 'player';
+      this.send('join', { code, name });
+    } catch (error) {
+      UIComponents.hideLoading();
+      UIComponents.showError('Failed to Join Game', error.message);
+      this.leave();
+    }
+  }
+
+  startGame() {
+    if (this.role !== 'host' || this.players.length === 0) {
+      return;
+    }
+
+    this.quizApp.beginQuiz(this.questions, {
+      sessionType: 'live',
+      label: `${this.quizApp.getSessionLabel()} (live game ${this.code})`,
+      seed: this.seed
+    });
+  }
+
+  /**
+   * Sends the question on the host's screen to every participant, with the
+   * answers in the order the host is showing them
+   * @param {number} index - Question index
+   */
+  pushQuestion(index) {
+    const { state } = this.quizApp;
+    const answers = [...document.querySelectorAll('.answer .text')].map(answer => answer.textContent);
+
+    this.buzzes = [];
+    this.results = null;
+    this.send('question', { index, total: state.questions.length, answers, timeLimit: state.getTimeLimit() });
+    this.renderHostPanel();
+  }
+
+  /**
+   * Closes the current question and shows who got it right
+   */
+  reveal() {
+    const { quizApp } = this;
+    const { state } = quizApp;
+    if (!state.isQuizActive || state.isAnswered) {
+      return;
+    }
+
+    state.isAnswered = true;
+    state.clearTimer();
+    const question = state.questions[state.currentQuestionIndex];
+    quizApp.highlightCorrectAnswer(question.correct_answer);
+    quizApp.updateButtonStates();
+    this.send('reveal', { correctAnswer: question.correct_answer });
+  }
+
+  end() {
+    this.send('end');
+  }
+
+  leave() {
+    const { socket } = this;
+    this.reset();
+    if (socket) {
+      socket.close();
+    }
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+    case 'created':
+      UIComponents.hideLoading();
+      this.code = message.code;
+      this.renderLobby();
+      this.showPanel('lobby');
+      break;
+    case 'players':
+      if (Array.isArray(message.players)) {
+        this.players = message.players;
+        this.renderLobby();
+      }
+      break;
+    case 'buzz':
+      this.buzzes.push(message);
+      this.renderHostPanel();
+      break;
+    case 'joined':
+      UIComponents.hideLoading();
+      this.code = message.code;
+      this.name = message.name;
+      this.showBuzzer();
+      break;
+    case 'question':
+      if (LiveGame.isValidQuestion(message)) {
+        this.renderBuzzerQuestion(message);
+      }
+      break;
+    case 'answer-received':
+      this.setBuzzerStatus(`Locked in! You answered ${Utils.formatOrdinal(message.order)}.`);
+      break;
+    case 'results':
+      if (Array.isArray(message.players) && Array.isArray(message.responses)) {
+        this.results = message;
+        this.players = message.players;
+        if (this.role === 'host') {
+          this.renderHostPanel();
+        } else {
+          this.renderBuzzerResults(message);
+        }
+      }
+      break;
+    case 'game-over':
+      if (Array.isArray(message.players)) {
+        this.players = message.players;
+        if (this.role === 'host') {
+          this.renderScoreboard();
+        } else {
+          this.renderBuzzerGameOver();
+        }
+      }
+      break;
+    case 'room-closed':
+      this.leave();
+      this.quizApp.showStartScreen();
+      UIComponents.showToast('Live Game', 'The host ended the game.', 'info');
+      break;
+    case 'error':
+      UIComponents.hideLoading();
+      UIComponents.showError('Live Game', message.message);
+      break;
+    default:
+      // Messages this version doesn't know about are ignored
+      break;
+    }
+  }
+
+  handleClose(socket) {
+    // Ignore connections that were closed on purpose
+    if (socket !== this.socket) {
+      return;
+    }
+
+    const wasHost = this.role === 'host';
+    this.leave();
+    UIComponents.showToast('Live Game', 'Lost the connection to the buzzer server.', 'error', 5000);
+    if (!wasHost) {
+      this.quizApp.showStartScreen();
+    }
+  }
+
+  renderLobby() {
+    document.getElementById('live-room-code').textContent = this.code;
+    document.getElementById('live-start-btn').disabled = this.players.length === 0;
+    document.getElementById('live-players').innerHTML = this.players.length ?
+      this.players.map(player => `<li><i class="fas fa-user"></i> ${Utils.escapeHtml(player.name)}</li>`).join('') :
+      '<li class="empty-state">Waiting for players to join...</li>';
+  }
+
+  /**
+   * Shows the host who has answered so far and, after the reveal, who scored
+   */
+  renderHostPanel() {
+    const panel = document.getElementById('live-panel');
+    const responses = this.results ? this.results.responses : this.buzzes;
+    const heading = this.results ? 'Results' : `Answers in: ${this.buzzes.length}/${this.players.length}`;
+
+    panel.innerHTML = `
+      <h2><i class="fas fa-bolt"></i> Room ${Utils.escapeHtml(this.code)} &middot; ${heading}</h2>
+      <ol class="live-responses">
+        ${responses.map(response => this.renderResponse(response)).join('')}
+      </ol>
+    `;
+  }
+
+  renderResponse(response) {
+    const status = 'correct' in response ? (response.correct ? 'correct' : 'wrong') : '';
+    const points = status ? `<span class="live-points">+${response.points}</span>` : '';
+    return `
+      <li class="${status}">
+        <span>#${response.order} ${Utils.escapeHtml(response.name)}</span>
+        ${points}
+      </li>
+    `;
+  }
+
+  /**
+   * Final standings for the host's results screen
+   */
+  renderScoreboard() {
+    document.getElementById('scoreboard').innerHTML = `
+      <ol class="scoreboard-list">
+        ${this.players.map((player, index) => this.renderStanding(player, index)).join('')}
+      </ol>
+    `;
+  }
+
+  renderStanding(player, index) {
+    const isLeader = index === 0 && player.score > 0;
+    return `
+      <li class="scoreboard-item ${isLeader ? 'leader' : ''}">
+        <span class="scoreboard-rank">${isLeader ? '<i class="fas fa-crown"></i>' : `#${index + 1}`}</span>
+        <div class="scoreboard-summary">
+          <strong>${Utils.escapeHtml(player.name)}</strong>
+          <span class="history-stats">${player.score} points</span>
+        </div>
+      </li>
+    `;
   }
 
-  handleBackToResults() {
-    this.quizApp.showResults();
+  showBuzzer() {
+    document.getElementById('buzzer-room').textContent = this.code;
+    document.getElementById('buzzer-name').textContent = this.name;
+    document.getElementById('buzzer-answers').innerHTML = '';
+    document.getElementById('buzzer-standings').innerHTML = '';
+    this.setBuzzerStatus('You\'re in! Waiting for the host to start...');
+    UIComponents.switchScreen('live-screen', 'buzzer-screen');
   }
 
-  handleShareResults() {
-    this.quizApp.shareResults();
+  setBuzzerStatus(text) {
+    document.getElementById('buzzer-status').textContent = text;
   }
 
-  handleKeyboard(e) {
-    // Global keyboard shortcuts
-    if (e.ctrlKey || e.metaKey) {
-      switch (e.key) {
-        case 'Enter':
-          if (this.quizApp.state.isQuizActive && !this.quizApp.state.isAnswered) {
-            e.preventDefault();
-            this.handleSubmitAnswer();
-          }
-          break;
-        case 'n':
-          if (this.quizApp.state.isAnswered) {
-            e.preventDefault();
-            this.handleNextQuestion();
-          }
-          break;
-      }
-    }
+  /**
+   * Participants only see the answers; the question is on the host's screen
+   */
+  renderBuzzerQuestion({ index, total, answers }) {
+    this.setBuzzerStatus(`Question ${index + 1} of ${total} - pick your answer!`);
+    document.getElementById('buzzer-standings').innerHTML = '';
+    document.getElementById('buzzer-answers').innerHTML = answers.map((answer, answerIndex) => `
+      <button type="button" class="btn buzzer-answer" data-answer-index="${answerIndex}">
+        ${Utils.escapeHtml(answer)}
+      </button>
+    `).join('');
+  }
 
-    // Escape key
-    if (e.key === 'Escape') {
-      const modal = document.querySelector('.modal:not(.hide)');
-      if (modal) {
-        UIComponents.hideError();
-      }
+  answer(button) {
+    if (button.disabled) {
+      return;
     }
 
-    // Number keys for answers (1-4)
-    if (this.quizApp.state.isQuizActive && !this.quizApp.state.isAnswered) {
-      const num = parseInt(e.key);
-      if (num >= 1 && num <= 4) {
-        const answers = document.querySelectorAll('.answer');
-        if (answers[num - 1]) {
-          answers[num - 1].click();
-        }
-      }
-    }
+    document.querySelectorAll('.buzzer-answer').forEach(answer => {
+      answer.disabled = true;
+    });
+    button.classList.add('selected');
+    this.send('answer', { answerIndex: Number(button.dataset.answerIndex) });
   }
 
-  handleBeforeUnload(e) {
-    if (this.quizApp.state.isQuizActive && this.quizApp.state.currentQuestionIndex > 0) {
-      e.preventDefault();
-      e.returnValue = 'You have an active quiz. Are you sure you want to leave?';
-      return e.returnValue;
+  renderBuzzerResults({ correctAnswer, responses }) {
+    const mine = responses.find(response => response.name === this.name);
+    document.querySelectorAll('.buzzer-answer').forEach(button => {
+      button.disabled = true;
+      button.classList.toggle('correct', button.textContent.trim() === correctAnswer);
+    });
+
+    if (!mine) {
+      this.setBuzzerStatus(`You didn't answer in time. The answer was ${correctAnswer}.`);
+    } else if (mine.correct) {
+      this.setBuzzerStatus(`Correct! +${mine.points} points.`);
+    } else {
+      this.setBuzzerStatus(`Not quite - the answer was ${correctAnswer}.`);
     }
+    this.renderBuzzerStandings();
+  }
+
+  renderBuzzerStandings() {
+    document.getElementById('buzzer-standings').innerHTML = `
+      <ol class="scoreboard-list">
+        ${this.players.map((player, index) => this.renderStanding(player, index)).join('')}
+      </ol>
+    `;
+  }
+
+  renderBuzzerGameOver() {
+    const rank = this.players.findIndex(player => player.name === this.name) + 1;
+    document.getElementById('buzzer-answers').innerHTML = '';
+    this.setBuzzerStatus(`Game over! You finished ${Utils.formatOrdinal(rank)} of ${this.players.length}.`);
+    this.renderBuzzerStandings();
   }
 }
 
@@ -481,49 +3584,194 @@ class EventHandlers {
 class QuizApp {
   constructor() {
     this.state = new QuizState();
+    // The user's own settings while a quiz runs under rules of its own
+    this.preferences = null;
+    this.editor = new QuizEditor(this);
+    this.live = new LiveGame(this);
     this.eventHandlers = new EventHandlers(this);
     this.init();
   }
 
   init() {
+    this.populateProfiles();
+
+    // Saved quizzes and scoring presets must be listed before settings are restored
+    this.populateSavedQuizzes();
+    this.populateScoringPolicies();
+
     // Load saved settings
     this.loadSettings();
     
     // Initialize UI
     this.initializeUI();
+
+    // Offer the quiz from a challenge link, if the page was opened with one
+    this.loadChallenge();
     
+    // Enable offline app shell
+    this.registerServiceWorker();
+
     // Check online status
     if (!navigator.onLine) {
-      UIComponents.showToast('Connection', 'You are offline. Please connect to the internet to load new questions.', 'warning', 8000);
+      UIComponents.showToast('Connection', 'You are offline. Downloaded question packs are still available.', 'warning', 8000);
     }
 
     console.log(`QuizPro v${CONFIG.VERSION} initialized successfully`);
   }
 
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+      return;
+    }
+
+    navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL).catch(error => {
+      UIComponents.showToast('Offline Play Unavailable', `Offline play couldn't be set up: ${error.message}`, 'warning');
+    });
+  }
+
   loadSettings() {
-    const savedData = Utils.loadFromStorage(CONFIG.STORAGE_KEY);
+    this.restorePreferences();
+    const savedData = ProfileStore.read(CONFIG.STORAGE_KEY);
     if (savedData && savedData.settings) {
       this.state.settings = { ...this.state.settings, ...savedData.settings };
-      this.applySettingsToUI();
     }
+
+    // A seed in the page URL (?seed=...) takes precedence over the saved one
+    const urlSeed = new URLSearchParams(window.location.search).get(CONFIG.SEED_PARAM);
+    if (urlSeed) {
+      this.state.settings.seed = urlSeed.trim();
+    }
+
+    this.applySettingsToUI();
   }
 
-  saveSettings() {
+  /**
+   * Saves the user's settings
+   * @param {Object} changes - Settings to update first, like the live server URL
+   */
+  saveSettings(changes = {}) {
+    Object.assign(this.state.settings, changes);
     const dataToSave = {
-      settings: this.state.settings,
+      // A quiz's own rules are never saved over the user's settings
+      settings: this.preferences ? Object.assign(this.preferences, changes) : this.state.settings,
       timestamp: Date.now()
     };
-    Utils.saveToStorage(CONFIG.STORAGE_KEY, dataToSave);
+    ProfileStore.write(CONFIG.STORAGE_KEY, dataToSave);
+  }
+
+  /**
+   * Plays the next quiz under settings of its own, like a resumed quiz,
+   * without touching the user's preferences
+   * @param {Object} overrides - Settings for this quiz only
+   */
+  useSessionSettings(overrides) {
+    this.preferences = this.preferences || this.state.settings;
+    this.state.settings = { ...this.preferences, ...overrides };
+  }
+
+  restorePreferences() {
+    if (this.preferences) {
+      this.state.settings = this.preferences;
+      this.preferences = null;
+    }
   }
 
   applySettingsToUI() {
+    document.getElementById('game-mode').value = this.state.settings.mode;
+    document.getElementById('lives').value = this.state.settings.lives;
+    document.getElementById('time-attack-duration').value = this.state.settings.timeAttackDuration;
+    document.getElementById('time-attack-bonus').value = this.state.settings.timeAttackBonus;
     document.getElementById('num-questions').value = this.state.settings.numQuestions;
     document.getElementById('category').value = this.state.settings.category;
     document.getElementById('difficulty').value = this.state.settings.difficulty;
     document.getElementById('time').value = this.state.settings.timePerQuestion;
+    document.getElementById('question-type').value = this.state.settings.questionType;
+    this.setSourceValue(this.state.settings);
+    document.getElementById('custom-url').value = this.state.settings.customUrl;
+    document.getElementById('seed').value = this.state.settings.seed;
+    document.getElementById('scoring').value = ScoringPolicy.get(this.state.settings.scoring).id;
+    document.getElementById('penalty-wrong').value = this.state.settings.penaltyWrong;
+    document.getElementById('penalty-unanswered').value = this.state.settings.penaltyUnanswered;
+    document.getElementById('lifelines-count').value = this.state.settings.lifelines;
+    document.getElementById('hot-seat').value = this.state.settings.hotSeat;
+    document.getElementById('player-names').value = this.state.settings.players.join(', ');
+    this.updateModeFields();
+    this.updateHotSeatFields();
+    this.updateSourceFields();
+    this.updatePackStatus();
+  }
+
+  updateModeFields() {
+    const mode = document.getElementById('game-mode').value;
+    document.getElementById('lives-group').classList.toggle('hide', mode !== 'survival');
+    document.getElementById('time-attack-group').classList.toggle('hide', mode !== 'time-attack');
+    // Survival and time attack keep going until the lives or the clock run out
+    document.getElementById('num-questions-group').classList.toggle('hide', mode === 'survival' || mode === 'time-attack');
+    // Time attack has its own clock and practice has none
+    document.getElementById('time-group').classList.toggle('hide', mode === 'time-attack' || mode === 'practice');
+  }
+
+  updateHotSeatFields() {
+    const hotSeat = document.getElementById('hot-seat').value;
+    document.getElementById('player-names-group').classList.toggle('hide', !hotSeat);
+  }
+
+  setSourceValue({ source, savedQuizId }) {
+    const select = document.getElementById('source');
+    select.value = source === 'saved' ? `saved:${savedQuizId}` : source;
+    // The saved quiz may have been deleted since
+    if (!select.value) {
+      select.value = CONFIG.DEFAULT_SOURCE;
+    }
+  }
+
+  populateSavedQuizzes() {
+    const select = document.getElementById('source');
+    const current = select.value;
+    const quizzes = CustomQuizStore.getAll();
+    let group = document.getElementById('saved-quizzes-group');
+
+    if (!group) {
+      group = document.createElement('optgroup');
+      group.id = 'saved-quizzes-group';
+      group.label = 'My Quizzes';
+      select.appendChild(group);
+    }
+
+    group.innerHTML = quizzes
+      .map(quiz => `<option value="saved:${quiz.id}">${Utils.escapeHtml(quiz.title)}</option>`)
+      .join('');
+    group.classList.toggle('hide', quizzes.length === 0);
+    select.value = current;
+    if (!select.value) {
+      select.value = CONFIG.DEFAULT_SOURCE;
+    }
+  }
+
+  populateScoringPolicies() {
+    document.getElementById('scoring').innerHTML = ScoringPolicy.getAll()
+      .map(policy => `<option value="${policy.id}">${Utils.escapeHtml(policy.label)}</option>`)
+      .join('');
+  }
+
+  showEditor() {
+    UIComponents.switchScreen('start-screen', 'editor-screen');
+    const { source, savedQuizId } = this.state.settings;
+    this.editor.open(source === 'saved' ? savedQuizId : '');
+  }
+
+  updateSourceFields() {
+    const source = document.getElementById('source').value;
+    document.getElementById('custom-url-group').classList.toggle('hide', source !== 'custom-url');
+    // Saved quizzes already live on this device, so there is nothing to download
+    document.querySelector('.pack-actions').classList.toggle('hide', source.startsWith('saved:'));
   }
 
   initializeUI() {
+    this.updateDeckStatus();
+    this.updateDailyStatus();
+    this.updateResumeBanner();
+
     // Set initial focus
     const startBtn = document.getElementById('start-btn');
     if (startBtn) startBtn.focus();
@@ -541,77 +3789,666 @@ class QuizApp {
       // Show loading
       UIComponents.showLoading('Fetching questions...');
       
+      // Without a seed in the settings every quiz gets its own, so it can still be replayed
+      const seed = this.state.settings.seed || Utils.generateId();
+      const mode = CONFIG.GAME_MODES[this.state.settings.mode] || CONFIG.GAME_MODES.standard;
+
       // Fetch questions
-      this.state.questions = await ApiService.fetchQuestions(
-        this.state.settings.numQuestions,
-        this.state.settings.category,
-        this.state.settings.difficulty
-      );
+      const options = CONFIG.OPEN_ENDED_SESSIONS.includes(mode.sessionType)
+        ? {
+          ...this.getQuestionOptions(CONFIG.QUESTION_BATCH_SIZE),
+          difficulty: this.getBatchDifficulty(0, mode.sessionType)
+        }
+        : this.getQuestionOptions();
+      const questions = await this.loadQuestions({ ...options, random: Utils.createRandom(seed) });
+
+      if (questions.length === 0) {
+        throw new Error('No questions received from the server');
+      }
+
+      this.beginQuiz(questions, {
+        sessionType: mode.sessionType,
+        label: mode.label ? `${mode.label}: ${this.getSessionLabel()}` : this.getSessionLabel(),
+        seed,
+        players: this.state.settings.hotSeat ? this.state.settings.players : []
+      });
+
+    } catch (error) {
+      UIComponents.hideLoading();
+      UIComponents.showError('Failed to Start Quiz', error.message);
+      console.error('Quiz start error:', error);
+    }
+  }
+
+  /**
+   * Starts playing a set of questions that has already been loaded
+   * @param {Array} questions - Normalized question objects
+   * @param {Object} session - `sessionType` ('quiz', 'review', ...), history `label`,
+   *   the `seed` that orders the answers, the `challenge` score to beat,
+   *   hot-seat `players`, the `dailyDate` of a daily challenge and whether
+   *   it `isReplay` of a quiz from the history
+   */
+  beginQuiz(questions, {
+    sessionType = 'quiz', label = '', seed = Utils.generateId(), challenge = null, players = [], dailyDate = '',
+    isReplay = false
+  } = {}) {
+    // Initialize quiz
+    this.state.reset();
+    this.state.questions = questions;
+    this.state.sessionType = sessionType;
+    this.state.label = label;
+    this.state.seed = seed;
+    this.state.challenge = challenge;
+    this.state.dailyDate = dailyDate;
+    this.state.isReplay = isReplay;
+    this.state.lives = sessionType === 'survival' ? this.state.settings.lives : 0;
+    this.state.isQuizActive = true;
+    this.state.startTime = Date.now();
+    document.getElementById('quiz-screen').classList.toggle('live-host', sessionType === 'live');
+    document.getElementById('quiz-screen').classList.toggle('practice', sessionType === 'practice');
+
+    // Hide loading and switch to quiz
+    UIComponents.hideLoading();
+    UIComponents.switchScreen('start-screen', 'quiz');
+
+    if (players.length) {
+      this.startHotSeat(players);
+      return;
+    }
+
+    // Show first question
+    this.showQuestion(0);
+
+    UIComponents.showToast('Quiz Started', `Good luck with your ${questions.length} questions!`, 'success');
+  }
+
+  startHotSeat(names) {
+    const { state } = this;
+    state.players = names.map(name => state.createPlayer(name));
+    state.loadPlayer(0);
+
+    // Alternating players get the same number of questions each
+    if (state.settings.hotSeat === 'alternate') {
+      state.questions = state.questions.slice(0, state.questions.length - (state.questions.length % names.length));
+    }
+
+    this.showHandoff();
+  }
+
+  /**
+   * Hides the board between hot-seat turns so the next player can't see
+   * the previous answer
+   */
+  showHandoff() {
+    const { state } = this;
+    const { questionIndex, playerIndex } = state.getTurn();
+
+    state.clearTimer();
+    state.awaitingHandoff = true;
+    state.isAnswered = true;
+    this.updateHandoffUI();
+
+    document.getElementById('handoff-text').textContent = `Pass the device to ${state.players[playerIndex].name}`;
+    document.getElementById('handoff-details').textContent =
+      `Question ${questionIndex + 1} of ${state.questions.length}`;
+    document.getElementById('handoff-start-btn').focus();
+    SessionStore.save(state);
+  }
+
+  startTurn() {
+    const { state } = this;
+    if (!state.awaitingHandoff) {
+      return;
+    }
+
+    const { questionIndex, playerIndex } = state.getTurn();
+    state.awaitingHandoff = false;
+    state.loadPlayer(playerIndex);
+    state.clearQuestionLifelines();
+    this.updateHandoffUI();
+    this.showQuestion(questionIndex);
+  }
+
+  nextTurn() {
+    const { state } = this;
+    if (state.awaitingHandoff) {
+      return;
+    }
+
+    state.saveActivePlayer();
+    state.turn++;
+    if (state.turn >= state.getTurnCount()) {
+      this.endQuiz();
+    } else {
+      this.showHandoff();
+    }
+  }
+
+  updateHandoffUI() {
+    document.getElementById('quiz-screen').classList.toggle('handoff', this.state.awaitingHandoff);
+    document.getElementById('handoff-overlay').classList.toggle('hide', !this.state.awaitingHandoff);
+  }
+
+  updatePlayerDisplay() {
+    const player = this.state.players[this.state.activePlayer];
+    document.getElementById('player-display').classList.toggle('hide', !player);
+    document.getElementById('current-player').textContent = player ? player.name : '';
+  }
+
+  resumeQuiz() {
+    const snapshot = SessionStore.load();
+    if (!snapshot) {
+      this.updateResumeBanner();
+      return;
+    }
+
+    this.state.reset();
+    this.useSessionSettings(snapshot.settings);
+    this.state.restore(snapshot);
+    this.state.isQuizActive = true;
+    document.getElementById('quiz-screen').classList.toggle('practice', this.state.sessionType === 'practice');
+    UIComponents.switchScreen('start-screen', 'quiz');
+
+    // A question that was already answered or timed out moves on to the next one
+    if (this.state.awaitingHandoff) {
+      this.showHandoff();
+    } else if (snapshot.isAnswered) {
+      this.nextQuestion();
+    } else {
+      this.showQuestion(snapshot.currentQuestionIndex, snapshot.timeLeft);
+    }
+
+    UIComponents.showToast('Quiz Resumed', 'Picking up where you left off.', 'success');
+  }
+
+  loadChallenge() {
+    let challenge;
+    try {
+      challenge = ChallengeLink.parse(window.location.hash);
+    } catch (error) {
+      this.clearChallengeHash();
+      UIComponents.showError('Challenge Link', error.message);
+      return;
+    }
+
+    if (!challenge) {
+      return;
+    }
+
+    const [timeError] = this.getSettingsErrors({ timePerQuestion: challenge.timePerQuestion });
+    if (timeError) {
+      this.clearChallengeHash();
+      UIComponents.showError('Challenge Link', timeError);
+      return;
+    }
+
+    this.pendingChallenge = challenge;
+    document.getElementById('challenge-details').textContent =
+      `${challenge.label || 'Quiz'} - ${challenge.total} questions, ${challenge.timePerQuestion}s each. ` +
+      `Score to beat: ${challenge.score}/${challenge.total}`;
+    document.getElementById('challenge-banner').classList.remove('hide');
+  }
+
+  acceptChallenge() {
+    const challenge = this.pendingChallenge;
+    if (!challenge) {
+      return;
+    }
+
+    this.dismissChallenge();
+    // Time limit and negative marking are part of the challenge, not saved preferences
+    const [penaltyWrong, penaltyUnanswered] = challenge.penalties;
+    this.useSessionSettings({ timePerQuestion: challenge.timePerQuestion, penaltyWrong, penaltyUnanswered });
+    this.beginQuiz(challenge.questions, {
+      sessionType: 'challenge',
+      label: challenge.label,
+      seed: challenge.seed,
+      challenge: { score: challenge.score, total: challenge.total }
+    });
+  }
+
+  dismissChallenge() {
+    this.pendingChallenge = null;
+    this.clearChallengeHash();
+    document.getElementById('challenge-banner').classList.add('hide');
+  }
+
+  clearChallengeHash() {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+
+  saveSession() {
+    if (this.state.isQuizActive) {
+      SessionStore.save(this.state);
+    }
+  }
+
+  discardSession() {
+    SessionStore.clear();
+    this.updateResumeBanner();
+  }
+
+  updateResumeBanner() {
+    const banner = document.getElementById('resume-banner');
+    if (!banner) {
+      return;
+    }
+
+    const snapshot = SessionStore.load();
+    banner.classList.toggle('hide', !snapshot);
+    if (snapshot) {
+      const answered = snapshot.userAnswers.length;
+      document.getElementById('resume-details').textContent =
+        `${snapshot.label || 'Quiz'} - ${answered} of ${snapshot.questions.length} answered, score ${snapshot.score}`;
+    }
+  }
+
+  async importQuiz(file) {
+    try {
+      const text = await file.text();
+      const { questions, errors } = QuizImporter.parse(file.name, text);
+
+      if (errors.length) {
+        UIComponents.showError(`Couldn't Import ${file.name}`, QuizImporter.formatErrors(errors));
+        return;
+      }
+
+      this.collectSettings();
+      this.saveSettings();
+      if (!this.validateSettings()) {
+        return;
+      }
+
+      this.beginQuiz(questions, { sessionType: 'import', label: `Imported: ${file.name}` });
+    } catch (error) {
+      UIComponents.showError('Import Failed', error.message);
+    }
+  }
+
+  startReviewSession() {
+    const dueCards = ReviewDeck.getDue();
+    if (dueCards.length === 0) {
+      UIComponents.showToast('Review Deck', 'No cards are due. Missed questions will show up here.', 'info');
+      return;
+    }
+
+    this.collectSettings();
+    this.saveSettings();
+    if (!this.validateSettings()) {
+      return;
+    }
+
+    const questions = dueCards.slice(0, CONFIG.DECK_SESSION_MAX).map(card => card.question);
+    this.beginQuiz(questions, { sessionType: 'review', label: 'Review Deck' });
+  }
+
+  updateDeckStatus() {
+    const button = document.getElementById('review-due-btn');
+    const count = document.getElementById('due-count');
+    if (!button || !count) {
+      return;
+    }
+
+    const due = ReviewDeck.getDue().length;
+    count.textContent = due;
+    button.disabled = due === 0;
+  }
+
+  /**
+   * Starts today's challenge: the same questions in the same order for
+   * everyone, drawn from the bundled question bank with a seed made from
+   * the date. Each profile gets one attempt per day.
+   */
+  async startDailyChallenge() {
+    const date = Utils.getDateKey();
+    if (DailyStore.get(date)) {
+      UIComponents.showToast('Daily Challenge', 'You have already played today\'s challenge. Come back tomorrow!', 'info');
+      return;
+    }
+
+    try {
+      UIComponents.showLoading('Preparing today\'s challenge...');
+
+      const seed = `daily:${date}`;
+      // Always the bundled bank: downloaded packs differ from device to device
+      const questions = await ApiService.fetchQuestions({
+        ...CONFIG.DAILY_SETTINGS,
+        amount: CONFIG.DAILY_SETTINGS.numQuestions,
+        random: Utils.createRandom(seed)
+      });
+
+      // Like a replay, the daily rules apply to this quiz only and aren't saved
+      this.useSessionSettings(CONFIG.DAILY_SETTINGS);
+      DailyStore.start(date);
+      this.beginQuiz(questions, { sessionType: 'daily', label: `Daily Challenge ${date}`, seed, dailyDate: date });
+    } catch (error) {
+      UIComponents.hideLoading();
+      UIComponents.showError('Failed to Start Daily Challenge', error.message);
+    }
+  }
+
+  updateDailyStatus() {
+    const button = document.getElementById('daily-btn');
+    const status = document.getElementById('daily-status');
+    if (!button || !status) {
+      return;
+    }
+
+    const result = DailyStore.get(Utils.getDateKey());
+    const streak = DailyStore.getStreak();
+    button.disabled = Boolean(result);
+
+    if (result && result.completed) {
+      status.textContent = `Today: ${result.score}/${result.total}. Come back tomorrow!`;
+    } else if (result) {
+      status.textContent = 'Today\'s attempt has been used. Come back tomorrow!';
+    } else {
+      status.textContent = `${CONFIG.DAILY_SETTINGS.numQuestions} questions, the same for everyone today.`;
+    }
+    if (streak) {
+      status.textContent += ` 🔥 ${streak}-day streak`;
+    }
+  }
+
+  recordDailyResult() {
+    const { state } = this;
+    DailyStore.complete(state.dailyDate, {
+      score: state.getAdjustedScore(),
+      total: state.questions.length,
+      percentage: state.getPercentage(),
+      points: state.getPoints()
+    });
+
+    const streak = DailyStore.getStreak();
+    UIComponents.showToast('Daily Challenge', `Done for today! 🔥 ${streak}-day streak`, 'success', 5000);
+  }
+
+  showDailyCalendar() {
+    UIComponents.switchScreen('start-screen', 'daily-screen');
+    const today = new Date();
+    this.dailyMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    this.renderDailyStats();
+    this.renderDailyCalendar();
+  }
+
+  /**
+   * @param {number} offset - Months to move the calendar by
+   */
+  changeDailyMonth(offset) {
+    this.dailyMonth = new Date(this.dailyMonth.getFullYear(), this.dailyMonth.getMonth() + offset, 1);
+    this.renderDailyCalendar();
+  }
+
+  renderDailyStats() {
+    const results = Object.values(DailyStore.getAll()).filter(result => result.completed);
+    const average = results.length
+      ? Math.round(results.reduce((sum, result) => sum + result.percentage, 0) / results.length)
+      : 0;
+    const stats = [
+      { icon: 'fa-fire', label: 'Current Streak', value: DailyStore.getStreak() },
+      { icon: 'fa-crown', label: 'Best Streak', value: DailyStore.getBestStreak() },
+      { icon: 'fa-calendar-check', label: 'Days Played', value: results.length },
+      { icon: 'fa-percentage', label: 'Average Score', value: `${average}%` }
+    ];
+
+    document.getElementById('daily-stats').innerHTML = stats.map(stat => `
+      <div class="stat-item">
+        <i class="fas ${stat.icon}"></i>
+        <span class="stat-label">${stat.label}</span>
+        <span class="stat-value">${stat.value}</span>
+      </div>
+    `).join('');
+  }
+
+  renderDailyCalendar() {
+    const month = this.dailyMonth;
+    const year = month.getFullYear();
+    const monthIndex = month.getMonth();
+    const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+    // The calendar's weeks start on Monday
+    const leadingBlanks = (month.getDay() + 6) % 7;
+    const results = DailyStore.getAll();
+    const today = Utils.getDateKey();
+
+    document.getElementById('daily-month').textContent = month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    document.getElementById('daily-next').disabled = new Date(year, monthIndex + 1, 1) > new Date();
+
+    const weekdays = CONFIG.DAILY_CALENDAR_WEEKDAYS.map(day => `<li class="daily-weekday">${day}</li>`);
+    const blanks = Array.from({ length: leadingBlanks }, () => '<li class="daily-day empty" aria-hidden="true"></li>');
+    const days = Array.from({ length: daysInMonth }, (_, index) => {
+      const date = Utils.getDateKey(new Date(year, monthIndex, index + 1));
+      return this.renderDailyDay(date, index + 1, results[date], today);
+    });
+
+    document.getElementById('daily-calendar').innerHTML = [...weekdays, ...blanks, ...days].join('');
+  }
+
+  renderDailyDay(date, dayOfMonth, result, today) {
+    const classes = ['daily-day'];
+    let title = date;
+    let score = '';
+
+    if (result && result.completed) {
+      classes.push('played', this.getAccuracyClass(result.percentage));
+      title += `: ${result.score}/${result.total} (${result.percentage}%)`;
+      score = `<span class="daily-day-score">${result.percentage}%</span>`;
+    } else if (result) {
+      classes.push('unfinished');
+      title += ': not finished';
+    }
+    if (date === today) {
+      classes.push('today');
+    }
+
+    return `
+      <li class="${classes.join(' ')}" title="${title}">
+        <span class="daily-day-number">${dayOfMonth}</span>
+        ${score}
+      </li>
+    `;
+  }
+
+  getQuestionOptions(amount = this.state.settings.numQuestions) {
+    return {
+      ...this.state.settings,
+      amount,
+      categoryName: this.getCategoryName(),
+      onNotice: (title, message) => UIComponents.showToast(title, message, 'info', 8000)
+    };
+  }
+
+  /**
+   * Fetches questions from the selected source, falling back to a
+   * downloaded pack when offline or when the source can't be reached
+   * @param {Object} options - Question options from getQuestionOptions
+   * @returns {Promise<Array>} Array of normalized question objects
+   */
+  async loadQuestions(options) {
+    const pack = PackStore.get(options);
+
+    if (!navigator.onLine && pack) {
+      UIComponents.showToast('Offline Mode', `Playing from your downloaded ${pack.label} pack.`, 'info');
+      return Utils.shuffleArray(pack.questions, options.random).slice(0, options.amount);
+    }
+
+    try {
+      return await ApiService.fetchQuestions(options);
+    } catch (error) {
+      if (!pack && !navigator.onLine) {
+        throw new Error('You are offline and no question pack has been downloaded for these settings.');
+      }
+      if (!pack) {
+        throw error;
+      }
+      UIComponents.showToast('Offline Mode', `${error.message} Playing from your downloaded ${pack.label} pack instead.`, 'warning', 8000);
+      return Utils.shuffleArray(pack.questions, options.random).slice(0, options.amount);
+    }
+  }
+
+  async downloadPack() {
+    this.collectSettings();
+    if (!this.validateSettings()) {
+      return;
+    }
 
-      if (this.state.questions.length === 0) {
-        throw new Error('No questions received from the server');
-      }
+    if (!navigator.onLine) {
+      UIComponents.showError('Download Failed', 'You need an internet connection to download a question pack.');
+      return;
+    }
 
-      // Initialize quiz
-      this.state.reset();
-      this.state.isQuizActive = true;
-      this.state.startTime = Date.now();
-      
-      // Hide loading and switch to quiz
-      UIComponents.hideLoading();
-      UIComponents.switchScreen('start-screen', 'quiz');
-      
-      // Show first question
-      this.showQuestion(0);
-      
-      UIComponents.showToast('Quiz Started', `Good luck with your ${this.state.questions.length} questions!`, 'success');
+    try {
+      UIComponents.showLoading('Downloading question pack...');
+      const options = this.getQuestionOptions(CONFIG.PACK_DOWNLOAD_SIZE);
+      const questions = await ApiService.fetchQuestions(options);
+      const pack = PackStore.save(options, questions);
 
+      UIComponents.hideLoading();
+      this.updatePackStatus();
+      UIComponents.showToast('Pack Saved', `${pack.questions.length} ${pack.label} questions are available offline.`, 'success');
     } catch (error) {
       UIComponents.hideLoading();
-      UIComponents.showError('Failed to Start Quiz', error.message);
-      console.error('Quiz start error:', error);
+      UIComponents.showError('Download Failed', error.message);
+    }
+  }
+
+  updatePackStatus() {
+    const status = document.getElementById('pack-status');
+    if (!status) {
+      return;
     }
+
+    const settings = {
+      source: document.getElementById('source').value,
+      category: document.getElementById('category').value,
+      difficulty: document.getElementById('difficulty').value,
+      questionType: document.getElementById('question-type').value
+    };
+    const pack = PackStore.get(settings);
+    status.textContent = pack ?
+      `${pack.questions.length} questions saved for offline play with these settings` :
+      'No offline pack saved for these settings';
   }
 
   collectSettings() {
+    this.restorePreferences();
+    // Saved quizzes are listed in the source picker as `saved:<quiz id>`
+    const [source, savedQuizId = ''] = document.getElementById('source').value.split(':');
     this.state.settings = {
+      // Keeps the fields that aren't on the form, like the leaderboard name
+      ...this.state.settings,
+      mode: document.getElementById('game-mode').value,
+      lives: parseInt(document.getElementById('lives').value, 10),
+      timeAttackDuration: parseInt(document.getElementById('time-attack-duration').value, 10),
+      timeAttackBonus: parseInt(document.getElementById('time-attack-bonus').value, 10),
       numQuestions: parseInt(document.getElementById('num-questions').value),
       category: document.getElementById('category').value,
       difficulty: document.getElementById('difficulty').value,
-      timePerQuestion: parseInt(document.getElementById('time').value)
+      timePerQuestion: parseInt(document.getElementById('time').value, 10),
+      questionType: document.getElementById('question-type').value,
+      source,
+      customUrl: document.getElementById('custom-url').value.trim(),
+      savedQuizId,
+      seed: document.getElementById('seed').value.trim(),
+      scoring: document.getElementById('scoring').value,
+      penaltyWrong: Number(document.getElementById('penalty-wrong').value),
+      penaltyUnanswered: Number(document.getElementById('penalty-unanswered').value),
+      lifelines: parseInt(document.getElementById('lifelines-count').value, 10),
+      hotSeat: document.getElementById('hot-seat').value,
+      players: document.getElementById('player-names').value
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
     };
   }
 
+  getSessionLabel() {
+    const { source, savedQuizId, difficulty } = this.state.settings;
+    if (source === 'saved') {
+      return CustomQuizStore.get(savedQuizId).title;
+    }
+    return `${this.getCategoryName() || 'Any Category'} (${difficulty || 'any difficulty'})`;
+  }
+
+  getCategoryName(category = document.getElementById('category').value) {
+    const option = [...document.getElementById('category').options].find(item => item.value === String(category));
+    return category && option ? option.text : '';
+  }
+
+  /**
+   * Checks settings against CONFIG.SETTINGS_RULES; fields that aren't
+   * present are skipped so callers can validate a subset
+   * @param {Object} settings - Settings (or a subset of them) to check
+   * @returns {Array<string>} Error messages, empty when valid
+   */
+  getSettingsErrors(settings) {
+    return CONFIG.SETTINGS_RULES
+      .filter(rule => rule.field in settings)
+      .filter(rule => !(settings[rule.field] >= rule.min && settings[rule.field] <= rule.max))
+      .map(rule => rule.message);
+  }
+
+  getHotSeatError({ hotSeat, players, numQuestions, mode }) {
+    if (!hotSeat) {
+      return null;
+    }
+    if (mode !== 'standard') {
+      return 'Hot seat can only be played in Standard mode.';
+    }
+
+    const { HOT_SEAT_MIN_PLAYERS: min, HOT_SEAT_MAX_PLAYERS: max } = CONFIG;
+    if (players.length < min || players.length > max) {
+      return `Enter between ${min} and ${max} player names, separated by commas.`;
+    }
+    if (new Set(players.map(name => name.toLowerCase())).size !== players.length) {
+      return 'Each player needs a different name.';
+    }
+    if (hotSeat === 'alternate' && numQuestions < players.length) {
+      return 'Alternating players need at least one question each.';
+    }
+    return null;
+  }
+
   validateSettings() {
-    const { numQuestions, timePerQuestion } = this.state.settings;
-    
-    if (numQuestions < 1 || numQuestions > 50) {
-      UIComponents.showError('Invalid Settings', 'Number of questions must be between 1 and 50');
+    const [settingsError] = this.getSettingsErrors(this.state.settings);
+    if (settingsError) {
+      UIComponents.showError('Invalid Settings', settingsError);
       return false;
     }
-    
-    if (timePerQuestion < 5 || timePerQuestion > 300) {
-      UIComponents.showError('Invalid Settings', 'Time per question must be between 5 and 300 seconds');
+
+    const hotSeatError = this.getHotSeatError(this.state.settings);
+    if (hotSeatError) {
+      UIComponents.showError('Invalid Players', hotSeatError);
       return false;
     }
-    
+
+    const sourceError = ApiService.getProvider(this.state.settings.source).validate(this.state.settings);
+    if (sourceError) {
+      UIComponents.showError('Invalid Settings', sourceError);
+      return false;
+    }
+
     return true;
   }
 
-  showQuestion(index) {
+  showQuestion(index, timeLeft = this.state.getTimeLimit()) {
     if (index >= this.state.questions.length) {
       this.endQuiz();
       return;
     }
 
     const question = this.state.questions[index];
+    // A resumed question keeps the lifelines already used on it
+    if (index !== this.state.currentQuestionIndex) {
+      this.state.clearQuestionLifelines();
+    }
     this.state.currentQuestionIndex = index;
     this.state.isAnswered = false;
     this.state.questionStartTime = Date.now();
 
-    // Update question number and progress
+    // Update question number and progress; open-ended quizzes have no set length
+    const isOpenEnded = this.state.isOpenEnded();
     document.querySelector('.current').textContent = index + 1;
-    document.querySelector('.total').textContent = `/${this.state.questions.length}`;
+    document.querySelector('.total').textContent = isOpenEnded ? '' : `/${this.state.questions.length}`;
 
     // Set question text
     const questionElement = document.getElementById('question-text');
@@ -625,34 +4462,68 @@ class QuizApp {
 
     // Generate answers
     this.generateAnswers(question);
+    this.hidePracticeFeedback();
 
     // Update UI state
     this.updateButtonStates();
-    UIComponents.updateScore(this.state.score, this.state.streak);
+    this.updateLifelines();
+    this.updatePlayerDisplay();
+    this.updateLivesDisplay();
+    UIComponents.updateScore(this.state.getPoints(), this.state.streak);
+
+    // Start timer; a time attack's clock keeps running from question to question
+    if (this.state.sessionType === 'practice') {
+      // Practice is untimed, so there's no clock and no speed bonus
+      this.state.timeLeft = 0;
+    } else if (!this.state.isTimeAttack() || !this.state.timer) {
+      this.startTimer(timeLeft);
+    }
+    this.state.questionClock = this.state.timeLeft;
+    SessionStore.save(this.state);
 
-    // Start timer
-    this.startTimer();
+    if (this.state.sessionType === 'live') {
+      this.live.pushQuestion(index);
+    }
+
+    // Fetch the next batch before the current one runs out
+    if (isOpenEnded && this.state.questions.length - index <= CONFIG.QUESTION_PREFETCH) {
+      // A failed prefetch is kept and retried when the batch actually runs out
+      this.loadQuestionBatch().catch(error => {
+        this.state.prefetchError = error;
+      });
+    }
 
     // Announce to screen readers
-    this.announceQuestion(index + 1, this.state.questions.length);
+    this.announceQuestion(index + 1, isOpenEnded ? 0 : this.state.questions.length);
   }
 
   generateAnswers(question) {
     const answerWrapper = document.querySelector('.answer-wrapper');
     const allAnswers = [...question.incorrect_answers, question.correct_answer];
-    const shuffledAnswers = Utils.shuffleArray(allAnswers);
+    const isBoolean = question.type === 'boolean';
+    // True/False keep a fixed order so the T/F shortcuts and layout stay predictable
+    // Seeded per question, so a resumed or replayed quiz shows the same order
+    const random = Utils.createRandom(`${this.state.seed}:${this.state.currentQuestionIndex}`);
+    const shuffledAnswers = isBoolean ? this.orderBooleanAnswers(allAnswers) : Utils.shuffleArray(allAnswers, random);
 
     answerWrapper.innerHTML = '';
+    answerWrapper.classList.toggle('boolean', isBoolean);
 
     shuffledAnswers.forEach((answer, index) => {
       const answerElement = document.createElement('div');
       answerElement.className = 'answer';
+      if (isBoolean) {
+        answerElement.dataset.shortcut = answer.charAt(0).toLowerCase();
+      }
+      if (this.state.removedAnswers.includes(answer)) {
+        this.eliminateAnswer(answerElement);
+      }
       answerElement.setAttribute('role', 'radio');
       answerElement.setAttribute('aria-checked', 'false');
       answerElement.setAttribute('tabindex', '0');
       
       answerElement.innerHTML = `
-        <span class="text">${answer}</span>
+        <span class="text">${Utils.escapeHtml(answer)}</span>
         <span class="checkbox">
           <i class="fas fa-check"></i>
         </span>
@@ -670,8 +4541,104 @@ class QuizApp {
     });
   }
 
+  orderBooleanAnswers(answers) {
+    return [...answers].sort((a, b) => (b === 'True') - (a === 'True'));
+  }
+
+  createAnswerRecord(question, fields) {
+    return {
+      question: question.question,
+      type: question.type,
+      category: question.category,
+      difficulty: question.difficulty,
+      correctAnswer: question.correct_answer,
+      lifelines: [...this.state.lifelinesUsed],
+      ...fields
+    };
+  }
+
+  /**
+   * Uses one of the remaining lifelines on the current question
+   * @param {string} id - Key of CONFIG.LIFELINES
+   */
+  useLifeline(id) {
+    const { state } = this;
+    if (!state.isQuizActive || state.isAnswered || state.isPaused || !this.canUseLifeline(id)) {
+      return;
+    }
+
+    state.lifelines[id]--;
+    state.lifelinesUsed.push(id);
+
+    if (id === 'fifty') {
+      this.removeWrongAnswers();
+    } else if (id === 'time') {
+      state.extraTime += CONFIG.LIFELINE_EXTRA_TIME;
+      state.timeLeft += CONFIG.LIFELINE_EXTRA_TIME;
+      UIComponents.updateProgressBar((state.timeLeft / state.getTimeLimit()) * 100, state.timeLeft);
+      UIComponents.showToast('Extra Time', `${CONFIG.LIFELINE_EXTRA_TIME} seconds added.`, 'info', 2000);
+    } else if (id === 'skip') {
+      this.skipQuestion({ free: true });
+    }
+
+    this.updateLifelines();
+    SessionStore.save(state);
+  }
+
+  canUseLifeline(id) {
+    const question = this.state.questions[this.state.currentQuestionIndex];
+    if (!question || !this.state.lifelines[id] || this.state.lifelinesUsed.includes(id)) {
+      return false;
+    }
+    // Bonus seconds take the place of Extra Time on a time attack's single clock, and practice has no clock
+    if (id === 'time' && (this.state.isTimeAttack() || this.state.sessionType === 'practice')) {
+      return false;
+    }
+    // True/False questions have only one wrong answer to remove
+    return id !== 'fifty' || question.incorrect_answers.length > 2;
+  }
+
+  removeWrongAnswers() {
+    const question = this.state.questions[this.state.currentQuestionIndex];
+    const random = Utils.createRandom(`${this.state.seed}:${this.state.currentQuestionIndex}:fifty`);
+    this.state.removedAnswers = Utils.shuffleArray(question.incorrect_answers, random).slice(0, 2);
+
+    document.querySelectorAll('.answer').forEach(answer => {
+      if (this.state.removedAnswers.includes(answer.querySelector('.text').textContent)) {
+        this.eliminateAnswer(answer);
+      }
+    });
+
+    if (!document.querySelector('.answer.selected')) {
+      document.getElementById('submit-btn').disabled = true;
+    }
+  }
+
+  eliminateAnswer(answerElement) {
+    answerElement.classList.remove('selected');
+    answerElement.classList.add('eliminated');
+    answerElement.setAttribute('aria-checked', 'false');
+    answerElement.setAttribute('aria-disabled', 'true');
+    answerElement.setAttribute('tabindex', '-1');
+  }
+
+  updateLifelines() {
+    const container = document.getElementById('lifelines');
+    container.classList.toggle('hide', !this.state.settings.lifelines);
+
+    container.querySelectorAll('[data-lifeline]').forEach(button => {
+      const id = button.dataset.lifeline;
+      button.querySelector('.badge').textContent = this.state.lifelines[id];
+      button.disabled = this.state.isAnswered || !this.canUseLifeline(id);
+    });
+  }
+
   selectAnswer(selectedElement) {
-    if (this.state.isAnswered) return;
+    // The host of a live game only reveals answers
+    if (this.state.isAnswered || this.state.isPaused || this.state.sessionType === 'live' ||
+        selectedElement.classList.contains('eliminated')) {
+      return;
+    }
 
     // Remove previous selection
     document.querySelectorAll('.answer').forEach(answer => {
@@ -694,9 +4661,20 @@ class QuizApp {
   submitAnswer() {
     if (this.state.isAnswered) return;
 
+    if (this.state.sessionType === 'live') {
+      this.live.reveal();
+      return;
+    }
+
+    if (this.isPracticeRetry()) {
+      this.submitRetry();
+      return;
+    }
+
     this.state.isAnswered = true;
-    this.state.clearTimer();
+    this.stopQuestionTimer();
     this.state.recordQuestionTime();
+    const isPractice = this.state.sessionType === 'practice';
 
     const selectedAnswer = document.querySelector('.answer.selected');
     const question = this.state.questions[this.state.currentQuestionIndex];
@@ -705,48 +4683,249 @@ class QuizApp {
       const answer = selectedAnswer.querySelector('.text').textContent;
       const isCorrect = answer === question.correct_answer;
 
+      if (isCorrect) {
+        this.state.incrementScore();
+      }
+      const outcome = isCorrect ? 'correct' : 'wrong';
+      const points = isCorrect ? this.scoreAnswer(question) : this.penalizeAnswer(outcome);
+      this.state.points += points.total;
+
       // Record user answer
-      this.state.userAnswers.push({
-        question: question.question,
+      this.state.userAnswers.push(this.createAnswerRecord(question, {
         userAnswer: answer,
-        correctAnswer: question.correct_answer,
         isCorrect: isCorrect,
-        timeSpent: this.state.settings.timePerQuestion - this.state.timeLeft
-      });
+        outcome,
+        penalty: this.getPenalty(outcome),
+        timeSpent: this.state.getTimeSpent(),
+        points
+      }));
 
       if (isCorrect) {
-        this.state.incrementScore();
         selectedAnswer.classList.add('correct');
+        this.addBonusTime();
         UIComponents.showToast('Correct!', 'Well done!', 'success', 2000);
       } else {
         this.state.resetStreak();
+        this.loseLife();
         selectedAnswer.classList.add('wrong');
-        UIComponents.showToast('Incorrect', `The correct answer was: ${question.correct_answer}`, 'error', 3000);
+        // Practice keeps the answer back so the question can be retried
+        if (!isPractice) {
+          UIComponents.showToast('Incorrect', `The correct answer was: ${Utils.escapeHtml(question.correct_answer)}`, 'error', 3000);
+        }
       }
     } else {
       // No answer selected
+      const points = this.penalizeAnswer('timeout');
       this.state.resetStreak();
-      this.state.userAnswers.push({
-        question: question.question,
+      this.loseLife();
+      this.state.points += points.total;
+      this.state.userAnswers.push(this.createAnswerRecord(question, {
         userAnswer: null,
-        correctAnswer: question.correct_answer,
         isCorrect: false,
-        timeSpent: this.state.settings.timePerQuestion
-      });
+        outcome: 'timeout',
+        penalty: this.getPenalty('timeout'),
+        timeSpent: this.state.getTimeSpent(),
+        points
+      }));
     }
 
     // Highlight correct answer
-    this.highlightCorrectAnswer(question.correct_answer);
+    if (!isPractice) {
+      this.highlightCorrectAnswer(question.correct_answer);
+    } else if (selectedAnswer) {
+      this.showPracticeFeedback(selectedAnswer.classList.contains('correct'));
+    } else {
+      this.revealPracticeAnswer();
+    }
+
+    this.lockAnswers();
+
+    // Update button states
+    this.updateButtonStates();
+    this.updateLifelines();
+    UIComponents.updateScore(this.state.getPoints(), this.state.streak);
+    SessionStore.save(this.state);
+    this.scheduleAutoAdvance();
+  }
 
-    // Disable all answers
+  lockAnswers() {
     document.querySelectorAll('.answer').forEach(answer => {
       answer.classList.add('checked');
       answer.style.pointerEvents = 'none';
     });
+  }
 
-    // Update button states
+  /**
+   * Only the first answer to a practice question is recorded; anything
+   * after a wrong answer is a retry
+   * @returns {boolean} Whether the current question has been answered already
+   */
+  isPracticeRetry() {
+    const { state } = this;
+    return state.sessionType === 'practice' && state.userAnswers.length > state.currentQuestionIndex;
+  }
+
+  // Checks a retried practice answer without touching the score
+  submitRetry() {
+    const selectedAnswer = document.querySelector('.answer.selected');
+    if (!selectedAnswer) {
+      return;
+    }
+
+    const question = this.state.questions[this.state.currentQuestionIndex];
+    const isCorrect = selectedAnswer.querySelector('.text').textContent === question.correct_answer;
+    this.state.isAnswered = true;
+    selectedAnswer.classList.add(isCorrect ? 'correct' : 'wrong');
+    this.showPracticeFeedback(isCorrect);
+    this.lockAnswers();
     this.updateButtonStates();
-    UIComponents.updateScore(this.state.score, this.state.streak);
+    this.updateLifelines();
+    SessionStore.save(this.state);
+  }
+
+  /**
+   * Shows whether a practice answer was right. A wrong answer can be retried
+   * while more than one answer is left to try, so the correct one stays
+   * hidden until it's found or revealed.
+   * @param {boolean} isCorrect - Whether the answer was correct
+   */
+  showPracticeFeedback(isCorrect) {
+    if (isCorrect) {
+      this.renderPracticeFeedback('correct');
+      return;
+    }
+
+    const untried = document.querySelectorAll('.answer:not(.eliminated):not(.wrong)').length;
+    if (untried > 1) {
+      this.renderPracticeFeedback('retry');
+    } else {
+      this.revealPracticeAnswer();
+    }
+  }
+
+  revealPracticeAnswer() {
+    const question = this.state.questions[this.state.currentQuestionIndex];
+    this.highlightCorrectAnswer(question.correct_answer);
+    this.renderPracticeFeedback('revealed');
+  }
+
+  /**
+   * @param {string} verdict - 'correct', 'retry' or 'revealed'
+   */
+  renderPracticeFeedback(verdict) {
+    const question = this.state.questions[this.state.currentQuestionIndex];
+    const messages = {
+      correct: 'Correct!',
+      retry: 'Not quite. Try again, or show the answer.',
+      revealed: `The correct answer is: ${question.correct_answer}`
+    };
+
+    const panel = document.getElementById('practice-feedback');
+    panel.className = `practice-feedback ${verdict}`;
+    document.getElementById('practice-verdict').textContent = messages[verdict];
+
+    // The explanation would give the answer away before a retry
+    const explanation = document.getElementById('practice-explanation');
+    explanation.textContent = question.explanation || 'No explanation is available for this question.';
+    explanation.classList.toggle('hide', verdict === 'retry');
+    document.getElementById('practice-actions').classList.toggle('hide', verdict !== 'retry');
+  }
+
+  hidePracticeFeedback() {
+    document.getElementById('practice-feedback').classList.add('hide');
+  }
+
+  /**
+   * Clears a wrong practice answer so another can be tried; answers already
+   * tried stay crossed out, like a 50/50
+   */
+  retryQuestion() {
+    const wrongAnswer = document.querySelector('.answer.wrong');
+    if (!wrongAnswer || !this.isPracticeRetry()) {
+      return;
+    }
+
+    this.state.removedAnswers.push(wrongAnswer.querySelector('.text').textContent);
+    wrongAnswer.classList.remove('wrong');
+    this.eliminateAnswer(wrongAnswer);
+    document.querySelectorAll('.answer').forEach(answer => {
+      answer.classList.remove('checked');
+      answer.style.pointerEvents = '';
+    });
+
+    this.state.isAnswered = false;
+    this.hidePracticeFeedback();
+    this.updateButtonStates();
+    this.updateLifelines();
+    SessionStore.save(this.state);
+  }
+
+  /**
+   * Stops the clock once a question is answered; a time attack's single
+   * clock keeps running until it reaches zero
+   */
+  stopQuestionTimer() {
+    if (!this.state.isTimeAttack()) {
+      this.state.clearTimer();
+    }
+  }
+
+  addBonusTime() {
+    const { state } = this;
+    const bonus = state.settings.timeAttackBonus;
+    if (!state.isTimeAttack() || !bonus) {
+      return;
+    }
+
+    state.bonusTime += bonus;
+    state.timeLeft += bonus;
+    UIComponents.updateProgressBar((state.timeLeft / state.getTimeLimit()) * 100, state.timeLeft);
+  }
+
+  /**
+   * Time attack skips the Next step: the answer stays on screen briefly,
+   * then the quiz moves on by itself
+   */
+  scheduleAutoAdvance() {
+    if (!this.state.isTimeAttack()) {
+      return;
+    }
+
+    const { currentQuestionIndex } = this.state;
+    setTimeout(() => {
+      const { state } = this;
+      if (state.isQuizActive && state.isAnswered && state.currentQuestionIndex === currentQuestionIndex) {
+        this.nextQuestion();
+      }
+    }, CONFIG.TIME_ATTACK_ADVANCE_DELAY);
+  }
+
+  /**
+   * Scores a correct answer with the selected scoring policy; call after
+   * incrementScore so the streak includes this answer
+   * @param {Object} question - Question that was answered
+   * @returns {Object} Points breakdown from ScoringPolicy.score
+   */
+  scoreAnswer(question) {
+    return ScoringPolicy.get(this.state.settings.scoring).score(question, {
+      timeLeft: this.state.timeLeft,
+      timeLimit: this.state.getTimeLimit(),
+      streak: this.state.streak
+    });
+  }
+
+  /**
+   * Negative marking for an answer that scored nothing
+   * @param {string} outcome - 'wrong', 'skipped' or 'timeout'
+   * @returns {number} Fraction of a question deducted from the score
+   */
+  getPenalty(outcome) {
+    const { penaltyWrong, penaltyUnanswered } = this.state.settings;
+    return outcome === 'wrong' ? penaltyWrong : penaltyUnanswered;
+  }
+
+  penalizeAnswer(outcome) {
+    return ScoringPolicy.get(this.state.settings.scoring).penalize(this.getPenalty(outcome));
   }
 
   highlightCorrectAnswer(correctAnswer) {
@@ -759,76 +4938,305 @@ class QuizApp {
   }
 
   nextQuestion() {
+    if (this.state.players.length) {
+      this.nextTurn();
+      return;
+    }
+
     const nextIndex = this.state.currentQuestionIndex + 1;
-    if (nextIndex < this.state.questions.length) {
+    if (this.state.isOpenEnded()) {
+      this.nextOpenEndedQuestion(nextIndex);
+    } else if (nextIndex < this.state.questions.length) {
       this.showQuestion(nextIndex);
     } else {
       this.endQuiz();
     }
   }
 
-  skipQuestion() {
+  async nextOpenEndedQuestion(index) {
+    if (this.state.sessionType === 'survival' && this.state.lives <= 0) {
+      this.endQuiz();
+      return;
+    }
+
+    if (index >= this.state.questions.length) {
+      let added;
+      // The time attack clock doesn't run while questions load
+      this.state.clearTimer();
+      try {
+        UIComponents.showLoading(this.state.prefetchError ?
+          `Couldn't fetch more questions (${this.state.prefetchError.message}). Trying again...` :
+          'Fetching more questions...');
+        this.state.prefetchError = null;
+        added = await this.loadQuestionBatch();
+        UIComponents.hideLoading();
+      } catch (error) {
+        UIComponents.hideLoading();
+        UIComponents.showError('Out of Questions', `Could not load more questions, so the quiz ends here. ${error.message}`);
+        this.endQuiz();
+        return;
+      }
+      if (!added) {
+        UIComponents.showToast('Out of Questions', 'There are no more questions to play - you got through the whole question pool!', 'success', 5000);
+        this.endQuiz();
+        return;
+      }
+    }
+
+    this.showQuestion(index, this.state.isTimeAttack() ? this.state.timeLeft : this.state.getTimeLimit());
+  }
+
+  /**
+   * Survival runs start at the chosen difficulty (easy for any difficulty)
+   * and move up a level with every batch of questions; other quizzes stay
+   * at the chosen difficulty
+   * @param {number} questionIndex - Index of the first question in the batch
+   * @param {string} sessionType - Session the batch is for
+   * @returns {string} Difficulty to fetch
+   */
+  getBatchDifficulty(questionIndex, sessionType = this.state.sessionType) {
+    const { difficulty } = this.state.settings;
+    if (sessionType !== 'survival') {
+      return difficulty;
+    }
+
+    const { DIFFICULTIES, QUESTION_BATCH_SIZE } = CONFIG;
+    const start = Math.max(0, DIFFICULTIES.indexOf(difficulty));
+    return DIFFICULTIES[Math.min(start + Math.floor(questionIndex / QUESTION_BATCH_SIZE), DIFFICULTIES.length - 1)];
+  }
+
+  /**
+   * Adds the next batch of questions to an open-ended quiz. Only one batch
+   * is loaded at a time, so the prefetch and a player who reaches the end
+   * of the current batch share the same request.
+   * @returns {Promise<number>} Number of new questions, 0 when the source has run out
+   * @throws {Error} When the source can't be reached
+   */
+  loadQuestionBatch() {
+    if (this.questionBatch) {
+      return this.questionBatch;
+    }
+
+    const { questions, seed } = this.state;
+    const options = {
+      ...this.getQuestionOptions(CONFIG.QUESTION_BATCH_SIZE),
+      difficulty: this.getBatchDifficulty(questions.length),
+      random: Utils.createRandom(`${seed}:${questions.length}`)
+    };
+
+    this.questionBatch = this.loadQuestions(options)
+      .then(batch => {
+        // Sources without session tokens can return questions already played
+        const seen = new Set(questions.map(question => question.question));
+        const fresh = batch.filter(question => !seen.has(question.question));
+        questions.push(...fresh);
+        return fresh.length;
+      })
+      .finally(() => {
+        this.questionBatch = null;
+      });
+    return this.questionBatch;
+  }
+
+  /**
+   * Survival runs lose a life for every question that isn't answered correctly
+   */
+  loseLife() {
+    if (this.state.sessionType !== 'survival') {
+      return;
+    }
+
+    this.state.lives = Math.max(0, this.state.lives - 1);
+    this.updateLivesDisplay();
+    if (this.state.lives === 0) {
+      UIComponents.showToast('Game Over', 'You\'re out of lives!', 'error', 3000);
+    }
+  }
+
+  updateLivesDisplay() {
+    const display = document.getElementById('lives-display');
+    const isSurvival = this.state.sessionType === 'survival';
+    display.classList.toggle('hide', !isSurvival);
+    if (!isSurvival) {
+      return;
+    }
+
+    const { lives, settings } = this.state;
+    display.setAttribute('aria-label', `${lives} of ${settings.lives} lives left`);
+    display.innerHTML = Array.from({ length: settings.lives }, (_, index) =>
+      `<i class="${index < lives ? 'fas' : 'far'} fa-heart" aria-hidden="true"></i>`).join('');
+  }
+
+  /**
+   * Skips the current question
+   * @param {Object} options - `free` for the Free Skip lifeline, which keeps
+   *   the streak and is never penalized
+   */
+  skipQuestion({ free = false } = {}) {
     if (this.state.isAnswered) return;
 
-    this.state.isAnswered = true;
+    // Giving up on a practice retry just shows the answer; the first one was already recorded
+    if (this.isPracticeRetry()) {
+      this.state.isAnswered = true;
+      this.revealPracticeAnswer();
+      this.lockAnswers();
+      this.updateButtonStates();
+      this.updateLifelines();
+      SessionStore.save(this.state);
+      return;
+    }
+
+    this.state.isAnswered = true;
+    this.stopQuestionTimer();
+    if (!free) {
+      this.state.resetStreak();
+      this.loseLife();
+    }
+
+    const question = this.state.questions[this.state.currentQuestionIndex];
+    const points = free ? ScoringPolicy.none() : this.penalizeAnswer('skipped');
+    this.state.points += points.total;
+    
+    // Record skipped question
+    this.state.userAnswers.push(this.createAnswerRecord(question, {
+      userAnswer: 'Skipped',
+      isCorrect: false,
+      outcome: 'skipped',
+      penalty: free ? 0 : this.getPenalty('skipped'),
+      timeSpent: 0,
+      points
+    }));
+
+    // Highlight correct answer
+    if (this.state.sessionType === 'practice') {
+      this.revealPracticeAnswer();
+    } else {
+      this.highlightCorrectAnswer(question.correct_answer);
+    }
+
+    // Update UI
+    this.updateButtonStates();
+    this.updateLifelines();
+    UIComponents.updateScore(this.state.getPoints(), this.state.streak);
+    SessionStore.save(this.state);
+    UIComponents.showToast('Question Skipped', `The correct answer was: ${Utils.escapeHtml(question.correct_answer)}`, 'warning', 3000);
+    this.scheduleAutoAdvance();
+  }
+
+  startTimer(timeLeft = this.state.getTimeLimit()) {
+    this.state.timeLeft = timeLeft;
+    UIComponents.updateProgressBar((timeLeft / this.state.getTimeLimit()) * 100, this.state.timeLeft);
+    this.runTimer();
+  }
+
+  /**
+   * Starts ticking the question timer
+   * @param {number} firstTickDelay - Milliseconds until the first tick, so a
+   *   resumed timer finishes the second it was paused in
+   */
+  runTimer(firstTickDelay = CONFIG.TIMER_TICK) {
+    this.state.tickStartedAt = Date.now() - (CONFIG.TIMER_TICK - firstTickDelay);
+    this.state.timer = setTimeout(() => {
+      this.state.timer = setInterval(() => this.tick(), CONFIG.TIMER_TICK);
+      this.tick();
+    }, firstTickDelay);
+  }
+
+  tick() {
+    this.state.tickStartedAt = Date.now();
+    this.state.timeLeft--;
+    const percentage = (this.state.timeLeft / this.state.getTimeLimit()) * 100;
+    UIComponents.updateProgressBar(percentage, this.state.timeLeft);
+
+    // Warning at 5 seconds
+    if (this.state.timeLeft === 5) {
+      UIComponents.showToast('Time Warning', '5 seconds remaining!', 'warning', 2000);
+    }
+
+    // Time up
+    if (this.state.timeLeft <= 0) {
+      this.handleTimeUp();
+    }
+  }
+
+  togglePause() {
+    if (this.state.isPaused) {
+      this.resumeFromPause();
+    } else {
+      this.pauseQuiz();
+    }
+  }
+
+  pauseQuiz() {
+    if (!this.state.isQuizActive || this.state.isAnswered || this.state.isPaused || this.state.awaitingHandoff ||
+        this.state.sessionType === 'live' || this.state.sessionType === 'practice') {
+      return;
+    }
+
+    // Remember how much of the current second was left
+    this.state.tickRemaining = Math.max(0, CONFIG.TIMER_TICK - (Date.now() - this.state.tickStartedAt));
     this.state.clearTimer();
-    this.state.resetStreak();
-
-    const question = this.state.questions[this.state.currentQuestionIndex];
-    
-    // Record skipped question
-    this.state.userAnswers.push({
-      question: question.question,
-      userAnswer: 'Skipped',
-      correctAnswer: question.correct_answer,
-      isCorrect: false,
-      timeSpent: 0
-    });
+    this.state.isPaused = true;
+    this.updatePauseUI();
+  }
 
-    // Highlight correct answer
-    this.highlightCorrectAnswer(question.correct_answer);
+  resumeFromPause() {
+    if (!this.state.isPaused) {
+      return;
+    }
 
-    // Update UI
-    this.updateButtonStates();
-    UIComponents.showToast('Question Skipped', `The correct answer was: ${question.correct_answer}`, 'warning', 3000);
+    this.state.isPaused = false;
+    this.updatePauseUI();
+    this.runTimer(this.state.tickRemaining);
   }
 
-  startTimer() {
-    this.state.timeLeft = this.state.settings.timePerQuestion;
-    UIComponents.updateProgressBar(100, this.state.timeLeft);
-
-    this.state.timer = setInterval(() => {
-      this.state.timeLeft--;
-      const percentage = (this.state.timeLeft / this.state.settings.timePerQuestion) * 100;
-      UIComponents.updateProgressBar(percentage, this.state.timeLeft);
+  updatePauseUI() {
+    const quizScreen = document.getElementById('quiz-screen');
+    const pauseBtn = document.getElementById('pause-btn');
+    const isPaused = this.state.isPaused;
 
-      // Warning at 5 seconds
-      if (this.state.timeLeft === 5) {
-        UIComponents.showToast('Time Warning', '5 seconds remaining!', 'warning', 2000);
-      }
+    quizScreen.classList.toggle('paused', isPaused);
+    document.getElementById('pause-overlay').classList.toggle('hide', !isPaused);
+    pauseBtn.innerHTML = isPaused ?
+      '<i class="fas fa-play"></i> Resume' :
+      '<i class="fas fa-pause"></i> Pause';
+    pauseBtn.setAttribute('aria-pressed', String(isPaused));
 
-      // Time up
-      if (this.state.timeLeft <= 0) {
-        this.handleTimeUp();
-      }
-    }, 1000);
+    if (isPaused) {
+      document.getElementById('resume-pause-btn').focus();
+    }
   }
 
   handleTimeUp() {
+    // The time attack clock running out ends the whole quiz, answered or not
+    if (this.state.isTimeAttack()) {
+      this.state.clearTimer();
+      UIComponents.showToast('Time\'s Up!', 'The clock has run out.', 'error', 3000);
+      this.endQuiz();
+      return;
+    }
+
     if (this.state.isAnswered) return;
 
+    // Live games wait for the host to move on
+    if (this.state.sessionType === 'live') {
+      this.live.reveal();
+      return;
+    }
+
     this.state.clearTimer();
     UIComponents.showToast('Time\'s Up!', 'Moving to next question...', 'error', 2000);
     
     // Auto-submit (which will be recorded as incorrect)
     this.submitAnswer();
     
-    // Auto-advance after a short delay
+    // Auto-advance after a short delay, unless the player already moved on
+    const { currentQuestionIndex, turn } = this.state;
     setTimeout(() => {
-      if (this.state.currentQuestionIndex < this.state.questions.length - 1) {
+      const { state } = this;
+      if (state.isQuizActive && state.isAnswered && !state.awaitingHandoff &&
+          state.currentQuestionIndex === currentQuestionIndex && state.turn === turn) {
         this.nextQuestion();
-      } else {
-        this.endQuiz();
       }
     }, 2000);
   }
@@ -837,6 +5245,7 @@ class QuizApp {
     const submitBtn = document.getElementById('submit-btn');
     const nextBtn = document.getElementById('next-btn');
     const skipBtn = document.getElementById('skip-btn');
+    document.getElementById('reveal-btn').classList.toggle('hide', this.state.isAnswered || this.state.sessionType !== 'live');
 
     if (this.state.isAnswered) {
       submitBtn.classList.add('hide');
@@ -854,20 +5263,146 @@ class QuizApp {
   endQuiz() {
     this.state.isQuizActive = false;
     this.state.clearTimer();
+    SessionStore.clear();
+
+    // Questions fetched ahead of an open-ended quiz's end were never played
+    if (this.state.isOpenEnded()) {
+      this.state.questions = this.state.questions.slice(0, this.state.userAnswers.length);
+    }
+
+    let attempt = null;
+    if (this.state.sessionType === 'live') {
+      // Scores live on the buzzer server, so a live game isn't added to the history
+      this.live.end();
+    } else if (this.state.players.length) {
+      // A shared device has no single review deck, so only history is kept
+      this.recordHotSeatAttempts();
+    } else {
+      attempt = this.recordAttempt();
+      this.updateReviewDeck();
+    }
     this.showResults();
+
+    if (this.state.dailyDate) {
+      this.recordDailyResult();
+    }
+
+    if (attempt) {
+      this.checkAchievements(attempt);
+    }
+  }
+
+  recordHotSeatAttempts() {
+    const { state } = this;
+    state.players.forEach((player, index) => {
+      state.loadPlayer(index);
+      this.recordAttempt({
+        label: `${state.label} (hot seat: ${player.name})`,
+        questions: state.questions.filter((question, questionIndex) =>
+          state.settings.hotSeat === 'same' || questionIndex % state.players.length === index)
+      });
+    });
+  }
+
+  /**
+   * Unlocks achievements earned by a finished solo quiz and announces them
+   * @param {Object} attempt - The attempt as stored by HistoryStore
+   */
+  checkAchievements(attempt) {
+    // Practice is untimed and allows retries, so it earns nothing
+    if (attempt.sessionType === 'practice') {
+      return;
+    }
+
+    // Hot-seat attempts in the history were played by other people
+    const history = HistoryStore.getAll().filter(entry => !['hotseat', 'practice'].includes(entry.sessionType));
+    const categories = [...document.getElementById('category').options]
+      .filter(option => option.value)
+      .map(option => option.text);
+
+    Achievements.evaluate({ attempt, history, categories }).forEach(rule => {
+      UIComponents.showToast('Achievement Unlocked!', `<i class="fas ${rule.icon}"></i> ${rule.title} - ${rule.description}`, 'success', 6000);
+    });
+  }
+
+  showAchievements() {
+    UIComponents.switchScreen('start-screen', 'achievements-screen');
+
+    const unlocked = Achievements.getUnlocked();
+    const rules = Achievements.getAll();
+    const count = rules.filter(rule => unlocked[rule.id]).length;
+
+    document.getElementById('achievements-summary').textContent = `${count} of ${rules.length} achievements unlocked`;
+    document.getElementById('achievements-list').innerHTML = rules.map(rule => {
+      const unlockedAt = unlocked[rule.id];
+      const status = unlockedAt ? `Unlocked ${Utils.formatDate(unlockedAt)}` : 'Locked';
+      return `
+        <li class="achievement ${unlockedAt ? 'unlocked' : 'locked'}">
+          <i class="fas ${unlockedAt ? rule.icon : 'fa-lock'}" aria-hidden="true"></i>
+          <strong>${Utils.escapeHtml(rule.title)}</strong>
+          <span class="achievement-description">${Utils.escapeHtml(rule.description)}</span>
+          <small class="history-date">${status}</small>
+        </li>
+      `;
+    }).join('');
+  }
+
+  updateReviewDeck() {
+    this.state.userAnswers.forEach((answer, index) => {
+      ReviewDeck.record(this.state.questions[index], answer, this.state.settings.timePerQuestion);
+    });
+  }
+
+  /**
+   * Saves the finished quiz to the history
+   * @param {Object} attempt - `label` and the `questions` played, when they
+   *   differ from the quiz's (hot-seat players)
+   * @returns {Object} The stored attempt
+   */
+  recordAttempt({ label = this.state.label, questions = this.state.questions } = {}) {
+    const totalQuestions = questions.length;
+    return HistoryStore.add({
+      settings: { ...this.state.settings },
+      sessionType: this.state.players.length ? 'hotseat' : this.state.sessionType,
+      label,
+      score: this.state.score,
+      adjustedScore: this.state.getAdjustedScore(),
+      points: this.state.getPoints(),
+      total: totalQuestions,
+      percentage: this.state.getPercentage(),
+      bestStreak: this.state.bestStreak,
+      avgTime: this.state.getAverageTime(),
+      challenge: this.state.challenge,
+      seed: this.state.seed,
+      questions,
+      userAnswers: this.state.userAnswers
+    });
   }
 
   showResults() {
     UIComponents.switchScreen('quiz', 'end-screen');
+
+    const isLive = this.state.sessionType === 'live';
+    const isHotSeat = this.state.players.length > 0;
+    document.getElementById('results-screen').classList.toggle('multiplayer', isLive || isHotSeat);
+    if (isLive) {
+      this.live.renderScoreboard();
+      return;
+    }
+    if (isHotSeat) {
+      this.renderScoreboard();
+      return;
+    }
     
     const totalQuestions = this.state.questions.length;
-    const percentage = Math.round((this.state.score / totalQuestions) * 100);
+    const percentage = this.state.getPercentage();
     const incorrectCount = totalQuestions - this.state.score;
     const avgTime = this.state.getAverageTime();
     const performanceData = this.state.getPerformanceMessage();
+    const penaltyTotal = this.state.getPenaltyTotal();
 
     // Update score display
-    document.querySelector('.final-score').textContent = this.state.score;
+    document.querySelector('.final-score').textContent = this.state.getAdjustedScore();
     document.querySelector('.total-score').textContent = `/${totalQuestions}`;
     document.querySelector('.score-percentage').textContent = `${percentage}%`;
 
@@ -876,72 +5411,768 @@ class QuizApp {
     document.getElementById('incorrect-count').textContent = incorrectCount;
     document.getElementById('avg-time').textContent = `${avgTime}s`;
     document.getElementById('best-streak').textContent = this.state.bestStreak;
+    document.getElementById('total-points').textContent = this.state.getPoints();
 
     // Show performance message
+    let scoreSummary = penaltyTotal ?
+      `You answered ${this.state.score} out of ${totalQuestions} questions correctly; negative marking deducted ` +
+      `${penaltyTotal}, for an adjusted score of ${this.state.getAdjustedScore()} (${percentage}%)` :
+      `You scored ${this.state.score} out of ${totalQuestions} questions correctly (${percentage}%)`;
+    if (this.state.isTimeAttack()) {
+      scoreSummary = `You answered ${totalQuestions} questions in ${Utils.formatTime(this.state.getClockUsed())} - ` +
+        `${this.state.getQuestionsPerMinute()} per minute, with ${percentage}% accuracy`;
+    } else if (this.state.sessionType === 'survival') {
+      scoreSummary = `You survived ${totalQuestions} questions and answered ${this.state.score} correctly (${percentage}%)`;
+    } else if (this.state.sessionType === 'practice') {
+      scoreSummary = `You got ${this.state.score} out of ${totalQuestions} questions right first time (${percentage}%). ` +
+        'Practice doesn\'t count towards leaderboards or statistics';
+    }
     const messageElement = document.getElementById('performance-message');
     messageElement.innerHTML = `
       <div class="performance-indicator ${performanceData.class}">
         <p>${performanceData.message}</p>
-        <small>You scored ${this.state.score} out of ${totalQuestions} questions correctly (${percentage}%)</small>
+        <small>${scoreSummary}</small>
       </div>
     `;
 
+    document.getElementById('results-seed').textContent = `Seed: ${this.state.seed}`;
+
+    this.renderPointsBreakdown();
+
+    this.renderChallengeResult();
+
+    this.updateLeaderboardEntry();
+
     UIComponents.showToast('Quiz Complete!', `You scored ${percentage}%`, 'success', 5000);
   }
 
-  showReview() {
+  /**
+   * Renders the answer review for the current quiz or a saved attempt
+   * @param {Array} userAnswers - Answer records to review
+   * @param {string} returnScreen - Screen the back button returns to
+   */
+  showReview(userAnswers = this.state.userAnswers, returnScreen = 'end-screen') {
     UIComponents.switchScreen('end-screen', 'review-screen');
-    
+    this.reviewReturnScreen = returnScreen;
+
+    const backButton = document.getElementById('back-to-results');
+    backButton.innerHTML = `<i class="fas fa-arrow-left"></i> ${returnScreen === 'history-screen' ? 'Back to History' : 'Back to Results'}`;
+
     const reviewContent = document.getElementById('review-content');
     reviewContent.innerHTML = '';
 
-    this.state.userAnswers.forEach((answer, index) => {
+    userAnswers.forEach((answer, index) => {
       const reviewItem = document.createElement('div');
       reviewItem.className = 'review-item';
       
       const statusIcon = answer.isCorrect ? 
         '<i class="fas fa-check-circle" style="color: var(--success-color);"></i>' :
         '<i class="fas fa-times-circle" style="color: var(--error-color);"></i>';
+      const userAnswer = answer.userAnswer ?
+        `<div class="review-answer user">Your answer: ${Utils.escapeHtml(answer.userAnswer)}</div>` :
+        '<div class="review-answer user">No answer provided</div>';
 
       reviewItem.innerHTML = `
         <div class="review-header">
           ${statusIcon}
           <strong>Question ${index + 1}</strong>
+          ${answer.type === 'boolean' ? '<span class="review-tag">True / False</span>' : ''}
+          ${(answer.lifelines || []).map(id => `<span class="review-tag lifeline-tag">${CONFIG.LIFELINES[id]}</span>`).join('')}
         </div>
-        <div class="review-question">${answer.question}</div>
+        <div class="review-question">${Utils.escapeHtml(answer.question)}</div>
         <div class="review-answers">
-          ${answer.userAnswer ? 
-            `<div class="review-answer user">Your answer: ${answer.userAnswer}</div>` :
-            '<div class="review-answer user">No answer provided</div>'
-          }
-          <div class="review-answer correct">Correct answer: ${answer.correctAnswer}</div>
+          ${userAnswer}
+          <div class="review-answer correct">Correct answer: ${Utils.escapeHtml(answer.correctAnswer)}</div>
         </div>
         <div class="review-time">Time spent: ${answer.timeSpent}s</div>
+        ${answer.points ? `<div class="review-points">Points: ${ScoringPolicy.describe(answer.points)}</div>` : ''}
       `;
 
       reviewContent.appendChild(reviewItem);
     });
   }
 
+  leaveReview() {
+    if (this.reviewReturnScreen === 'history-screen') {
+      this.showHistory();
+    } else {
+      this.showResults();
+    }
+  }
+
+  showStartScreen() {
+    UIComponents.switchScreen('', 'start-screen');
+    this.updatePackStatus();
+    this.updateDeckStatus();
+    this.updateDailyStatus();
+    this.updateResumeBanner();
+  }
+
+  showHistory() {
+    UIComponents.switchScreen('start-screen', 'history-screen');
+    this.renderHistory();
+  }
+
+  renderHistory() {
+    const list = document.getElementById('history-list');
+    const history = HistoryStore.getAll();
+
+    if (history.length === 0) {
+      list.innerHTML = '<p class="empty-state">No quizzes yet. Finish a quiz and it will show up here.</p>';
+      return;
+    }
+
+    list.innerHTML = history.map(attempt => `
+      <div class="history-item">
+        <div class="history-summary">
+          <strong>${Utils.escapeHtml(attempt.label)}</strong>
+          <span class="history-date">${Utils.formatDate(attempt.completedAt)}</span>
+          <span class="history-stats">
+            ${attempt.adjustedScore ?? attempt.score}/${attempt.total} (${attempt.percentage}%)
+            &middot; Best streak ${attempt.bestStreak}
+            &middot; Avg ${Utils.formatTime(attempt.avgTime)}
+            ${attempt.seed ? `&middot; Seed ${Utils.escapeHtml(attempt.seed)}` : ''}
+          </span>
+        </div>
+        <div class="history-actions">
+          ${attempt.questions ? `
+            <button class="btn btn-secondary" data-action="replay" data-id="${attempt.id}" aria-label="Replay quiz from ${Utils.formatDate(attempt.completedAt)}">
+              <i class="fas fa-redo"></i>
+            </button>
+          ` : ''}
+          <button class="btn btn-info" data-action="review" data-id="${attempt.id}" aria-label="Review quiz from ${Utils.formatDate(attempt.completedAt)}">
+            <i class="fas fa-list"></i>
+          </button>
+          <button class="btn btn-link" data-action="delete" data-id="${attempt.id}" aria-label="Delete quiz from ${Utils.formatDate(attempt.completedAt)}">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  showDashboard() {
+    UIComponents.switchScreen('start-screen', 'dashboard-screen');
+
+    // Practice attempts stay in the history but aren't part of the statistics
+    const summary = Analytics.summarize(HistoryStore.getAll().filter(attempt => attempt.sessionType !== 'practice'));
+    const content = document.getElementById('dashboard-content');
+
+    if (summary.quizzes === 0) {
+      content.innerHTML = '<p class="empty-state">No data yet. Finish a few quizzes to see your strengths and weaknesses.</p>';
+      return;
+    }
+
+    content.innerHTML = `
+      <div class="performance-stats">
+        <div class="stat-item">
+          <i class="fas fa-clipboard-check"></i>
+          <span class="stat-label">Quizzes</span>
+          <span class="stat-value">${summary.quizzes}</span>
+        </div>
+        <div class="stat-item">
+          <i class="fas fa-question-circle"></i>
+          <span class="stat-label">Questions</span>
+          <span class="stat-value">${summary.attempts}</span>
+        </div>
+        <div class="stat-item">
+          <i class="fas fa-bullseye"></i>
+          <span class="stat-label">Accuracy</span>
+          <span class="stat-value">${summary.accuracy}%</span>
+        </div>
+        <div class="stat-item">
+          <i class="fas fa-clock"></i>
+          <span class="stat-label">Avg Time</span>
+          <span class="stat-value">${summary.avgTime}s</span>
+        </div>
+      </div>
+      ${this.renderChart('By Category', 'fa-tags', summary.byCategory)}
+      ${this.renderChart('By Difficulty', 'fa-chart-line', summary.byDifficulty)}
+    `;
+  }
+
+  renderChart(title, icon, groups) {
+    const rows = groups.map(group => `
+      <div class="chart-row">
+        <span class="chart-label">${Utils.escapeHtml(group.key)}</span>
+        <div class="chart-bar" role="img" aria-label="${Utils.escapeHtml(group.key)}: ${group.accuracy}% accuracy">
+          <div class="chart-fill ${this.getAccuracyClass(group.accuracy)}" style="width: ${group.accuracy}%"></div>
+        </div>
+        <span class="chart-value">${group.accuracy}%</span>
+        <span class="chart-meta">${group.correct}/${group.attempts} correct &middot; ${group.avgTime}s avg</span>
+      </div>
+    `).join('');
+
+    return `
+      <section class="chart">
+        <h2 class="chart-title"><i class="fas ${icon}"></i> ${title}</h2>
+        ${rows}
+      </section>
+    `;
+  }
+
+  getAccuracyClass(accuracy) {
+    const tier = Object.values(CONFIG.PERFORMANCE_MESSAGES).find(config => accuracy >= config.min);
+    return tier ? tier.class : CONFIG.PERFORMANCE_MESSAGES.POOR.class;
+  }
+
+  /**
+   * Only quizzes and survival runs played from the start form compete:
+   * saved quizzes, imports, reviews, challenges and multiplayer games don't
+   * follow its settings, and a replay's questions were already seen in the
+   * review. Guests save nothing, leaderboard entries included.
+   * @returns {boolean} Whether the finished quiz can go on a leaderboard
+   */
+  isLeaderboardEligible() {
+    const { state } = this;
+    return ['quiz', 'survival'].includes(state.sessionType) && !state.isReplay && state.settings.source !== 'saved' &&
+      state.players.length === 0 && !ProfileStore.isGuest();
+  }
+
+  /**
+   * @returns {number} Where the finished quiz places on its leaderboard, or
+   *   on the survival high scores; 0 when it doesn't
+   */
+  getLeaderboardRank() {
+    if (!this.isLeaderboardEligible()) {
+      return 0;
+    }
+    return this.state.sessionType === 'survival'
+      ? SurvivalStore.getRank(this.getLeaderboardResult())
+      : LeaderboardStore.getRank(this.state.settings, this.getLeaderboardResult());
+  }
+
+  getLeaderboardResult() {
+    return {
+      score: this.state.getAdjustedScore(),
+      total: this.state.questions.length,
+      percentage: this.state.getPercentage(),
+      avgTime: this.state.getAverageTime(),
+      points: this.state.getPoints()
+    };
+  }
+
+  /**
+   * Asks for a name on the results screen when the quiz made its leaderboard
+   */
+  updateLeaderboardEntry() {
+    const rank = this.getLeaderboardRank();
+    document.getElementById('leaderboard-entry').classList.toggle('hide', !rank);
+    if (rank) {
+      const board = this.state.sessionType === 'survival' ? 'survival high scores' : 'leaderboard';
+      document.getElementById('leaderboard-entry-text').textContent = `You made the ${board} at #${rank}!`;
+      document.getElementById('leaderboard-name').value =
+        this.state.settings.leaderboardName || ProfileStore.getActive().name.slice(0, CONFIG.LEADERBOARD_NAME_LENGTH);
+    }
+  }
+
+  saveLeaderboardEntry() {
+    const name = document.getElementById('leaderboard-name').value.trim().slice(0, CONFIG.LEADERBOARD_NAME_LENGTH);
+    if (!name) {
+      UIComponents.showError('Leaderboard', 'Enter your initials or name to save your score.');
+      return;
+    }
+
+    const { settings } = this.state;
+    const categoryName = this.getCategoryName(settings.category);
+    const entry = { name, ...this.getLeaderboardResult() };
+    const rank = this.state.sessionType === 'survival'
+      ? SurvivalStore.add({ ...entry, lives: settings.lives, categoryName })
+      : LeaderboardStore.add(settings, categoryName, entry);
+    this.saveSettings({ leaderboardName: name });
+    document.getElementById('leaderboard-entry').classList.add('hide');
+    UIComponents.showToast('Leaderboard', `${Utils.escapeHtml(name)} is #${rank} on the leaderboard!`, 'success');
+  }
+
+  populateProfiles() {
+    const active = ProfileStore.getActive();
+    const profiles = [...ProfileStore.getAll(), ProfileStore.getGuestProfile()];
+
+    document.getElementById('profile-avatar').textContent = active.avatar;
+    document.getElementById('profile-select').innerHTML = profiles
+      .map(profile => `<option value="${profile.id}">${Utils.escapeHtml(profile.name)}</option>`)
+      .join('');
+    document.getElementById('profile-select').value = active.id;
+  }
+
+  /**
+   * Makes another profile the active one and reloads everything it keeps
+   * @param {string} id - Profile id
+   */
+  switchProfile(id) {
+    try {
+      ProfileStore.setActive(id);
+    } catch (error) {
+      UIComponents.showError('Profiles', error.message);
+      this.populateProfiles();
+      return;
+    }
+
+    // Settings and any unfinished quiz belong to the profile that was active
+    this.state = new QuizState();
+    this.loadSettings();
+    this.populateProfiles();
+    this.updateDeckStatus();
+    this.updateDailyStatus();
+    this.updateResumeBanner();
+    this.renderProfiles();
+
+    const profile = ProfileStore.getActive();
+    const note = ProfileStore.isGuest() ? ' Nothing will be saved.' : '';
+    UIComponents.showToast('Profile', `Playing as ${Utils.escapeHtml(profile.name)}.${note}`, 'info', 3000);
+  }
+
+  showProfiles() {
+    UIComponents.switchScreen('start-screen', 'profiles-screen');
+    document.getElementById('profile-avatars').innerHTML = CONFIG.PROFILE_AVATARS.map((avatar, index) => `
+      <label class="profile-avatar-option">
+        <input type="radio" name="profile-avatar" value="${avatar}" ${index === 0 ? 'checked' : ''} />
+        <span aria-hidden="true">${avatar}</span>
+        <span class="visually-hidden">Avatar ${index + 1}</span>
+      </label>
+    `).join('');
+    this.renderProfiles();
+  }
+
+  renderProfiles() {
+    const activeId = ProfileStore.getActive().id;
+    const profiles = [...ProfileStore.getAll(), ProfileStore.getGuestProfile()];
+
+    document.getElementById('profile-list').innerHTML = profiles
+      .map(profile => this.renderProfile(profile, profile.id === activeId))
+      .join('');
+  }
+
+  renderProfile(profile, isActive) {
+    const isGuest = profile.id === CONFIG.GUEST_PROFILE_ID;
+    const { quizzes, cards } = isGuest ? {} : ProfileStore.getSummary(profile.id);
+    const details = isGuest ? 'Plays without saving anything' : `${quizzes} quizzes &middot; ${cards} review cards`;
+    const switchButton = isActive ? '<span class="review-tag">Active</span>' : `
+      <button class="btn btn-primary" data-action="switch" aria-label="Switch to ${Utils.escapeHtml(profile.name)}">
+        <i class="fas fa-user-check"></i>
+      </button>
+    `;
+    const manageButtons = isGuest ? '' : `
+      <button class="btn btn-secondary" data-action="export" aria-label="Export ${Utils.escapeHtml(profile.name)}">
+        <i class="fas fa-download"></i>
+      </button>
+      <button class="btn btn-secondary" data-action="delete" aria-label="Delete ${Utils.escapeHtml(profile.name)}">
+        <i class="fas fa-trash"></i>
+      </button>
+    `;
+
+    return `
+      <div class="history-item profile-item" data-profile="${profile.id}">
+        <span class="profile-avatar" aria-hidden="true">${profile.avatar}</span>
+        <div class="history-summary">
+          <strong>${Utils.escapeHtml(profile.name)}</strong>
+          <span class="history-stats">${details}</span>
+        </div>
+        <div class="history-actions">
+          ${switchButton}
+          ${manageButtons}
+        </div>
+      </div>
+    `;
+  }
+
+  createProfile() {
+    const name = document.getElementById('profile-name').value;
+    const avatar = document.querySelector('input[name="profile-avatar"]:checked');
+
+    try {
+      const profile = ProfileStore.create(name, avatar ? avatar.value : '');
+      document.getElementById('profile-name').value = '';
+      this.switchProfile(profile.id);
+    } catch (error) {
+      UIComponents.showError('Profiles', error.message);
+    }
+  }
+
+  exportProfile(id) {
+    const exported = ProfileStore.export(id);
+    const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `quizpro-profile-${exported.profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  deleteProfile(id) {
+    const wasActive = ProfileStore.getActive().id === id;
+    try {
+      ProfileStore.remove(id);
+    } catch (error) {
+      UIComponents.showError('Profiles', error.message);
+      return;
+    }
+
+    if (wasActive) {
+      this.switchProfile(ProfileStore.getActive().id);
+    } else {
+      this.populateProfiles();
+      this.renderProfiles();
+    }
+    UIComponents.showToast('Profiles', 'Profile deleted.', 'info', 3000);
+  }
+
+  showLeaderboards() {
+    UIComponents.switchScreen('start-screen', 'leaderboard-screen');
+    this.renderSurvivalBoard();
+    this.populateLeaderboardFilters();
+    this.renderLeaderboards();
+  }
+
+  renderSurvivalBoard() {
+    const entries = SurvivalStore.getAll();
+    document.getElementById('survival-board').classList.toggle('hide', entries.length === 0);
+    document.getElementById('survival-list').innerHTML = entries.map((entry, index) => this.renderLeaderboardEntry(entry, index + 1, `
+      ${entry.score} correct of ${entry.total}
+      &middot; ${entry.lives} ${entry.lives === 1 ? 'life' : 'lives'}
+      &middot; ${Utils.escapeHtml(entry.categoryName || 'Any Category')}
+      &middot; ${entry.points} points
+    `)).join('');
+  }
+
+  resetSurvivalScores() {
+    if (!SurvivalStore.clear()) {
+      UIComponents.showError('Leaderboards', 'Survival high scores couldn\'t be cleared from this browser.');
+      return;
+    }
+    this.renderSurvivalBoard();
+    UIComponents.showToast('Leaderboards', 'Survival high scores cleared.', 'info', 3000);
+  }
+
+  /**
+   * Filters on the leaderboard screen, one per part of the leaderboard key
+   * @returns {Array<Object>} `id` of the select, board `field` and option `label`
+   */
+  getLeaderboardFilters() {
+    return [
+      { id: 'leaderboard-category', field: 'category', label: board => board.categoryName || 'Any Category' },
+      { id: 'leaderboard-difficulty', field: 'difficulty', label: board => board.difficulty || 'Any difficulty' },
+      { id: 'leaderboard-questions', field: 'numQuestions', label: board => `${board.numQuestions} questions` },
+      { id: 'leaderboard-time', field: 'timePerQuestion', label: board => `${board.timePerQuestion}s per question` },
+      // Leaderboards saved before these were part of the key don't have them
+      {
+        id: 'leaderboard-source',
+        field: 'source',
+        label: board => this.getOptionText('source', board.source) || 'Unknown source'
+      },
+      {
+        id: 'leaderboard-type',
+        field: 'questionType',
+        label: board => this.getOptionText('question-type', board.questionType) || 'Unknown question type'
+      },
+      {
+        id: 'leaderboard-scoring',
+        field: 'scoring',
+        label: board => (board.scoring ? ScoringPolicy.get(board.scoring).label.split(' - ')[0] : 'Unknown scoring')
+      },
+      { id: 'leaderboard-penalties', field: 'penalties', label: board => this.describePenalties(board.penalties) }
+    ];
+  }
+
+  /**
+   * @param {string} selectId - Id of a select on the start form
+   * @param {string} value - Option value
+   * @returns {string} Text of the matching option, or '' when there is none
+   */
+  getOptionText(selectId, value) {
+    const option = [...document.getElementById(selectId).options].find(item => item.value === value);
+    return option ? option.text : '';
+  }
+
+  describePenalties(penalties) {
+    if (!Array.isArray(penalties)) {
+      return 'Unknown penalties';
+    }
+    const [wrong, unanswered] = penalties;
+    return wrong || unanswered ? `-${wrong} wrong, -${unanswered} unanswered` : 'No penalties';
+  }
+
+  populateLeaderboardFilters() {
+    const boards = Object.values(LeaderboardStore.getAll());
+
+    this.getLeaderboardFilters().forEach(({ id, field, label }) => {
+      const select = document.getElementById(id);
+      const current = select.value;
+      const options = new Map(boards.map(board => [String(board[field]), label(board)]));
+
+      select.innerHTML = '<option value="all">All</option>' + [...options]
+        .map(([value, text]) => `<option value="${Utils.escapeHtml(value)}">${Utils.escapeHtml(text)}</option>`)
+        .join('');
+      select.value = options.has(current) ? current : 'all';
+    });
+  }
+
+  getFilteredLeaderboards() {
+    const filters = this.getLeaderboardFilters()
+      .map(({ id, field }) => ({ field, value: document.getElementById(id).value }))
+      .filter(({ value }) => value !== 'all');
+    const difficultyIndex = board => CONFIG.DIFFICULTY_ORDER.indexOf(board.difficulty || 'unknown');
+
+    return Object.entries(LeaderboardStore.getAll())
+      .map(([key, board]) => ({ key, ...board }))
+      .filter(board => filters.every(({ field, value }) => String(board[field]) === value))
+      .sort((a, b) => (a.categoryName || '').localeCompare(b.categoryName || '') ||
+        difficultyIndex(a) - difficultyIndex(b) ||
+        a.numQuestions - b.numQuestions ||
+        a.timePerQuestion - b.timePerQuestion);
+  }
+
+  renderLeaderboards() {
+    const boards = this.getFilteredLeaderboards();
+    const content = document.getElementById('leaderboard-list');
+    document.getElementById('leaderboard-reset-btn').disabled = boards.length === 0;
+
+    if (boards.length === 0) {
+      content.innerHTML = '<p class="empty-state">No scores yet. Finish a quiz to get on the leaderboard.</p>';
+      return;
+    }
+
+    content.innerHTML = boards.map(board => this.renderLeaderboard(board)).join('');
+  }
+
+  renderLeaderboard(board) {
+    const title = `${board.categoryName || 'Any Category'} (${board.difficulty || 'any difficulty'})`;
+    // Category and difficulty are in the title; the rest of the key goes underneath
+    const details = this.getLeaderboardFilters().slice(2).map(({ label }) => label(board));
+    if (board.customUrl) {
+      details.push(new URL(board.customUrl).host);
+    }
+    return `
+      <section class="leaderboard">
+        <h2>
+          ${Utils.escapeHtml(title)}
+          <small>${details.map(detail => Utils.escapeHtml(detail)).join(' &middot; ')}</small>
+        </h2>
+        <ol class="scoreboard-list">
+          ${board.entries.map((entry, index) => this.renderLeaderboardEntry(entry, index + 1)).join('')}
+        </ol>
+      </section>
+    `;
+  }
+
+  /**
+   * @param {Object} entry - Leaderboard or survival entry
+   * @param {number} rank - Position from 1
+   * @param {string} details - Result summary shown under the name
+   * @returns {string} Scoreboard row HTML
+   */
+  renderLeaderboardEntry(entry, rank, details = `
+    ${entry.score}/${entry.total} (${entry.percentage}%)
+    &middot; Avg ${Utils.formatTime(entry.avgTime)}
+    &middot; ${entry.points} points
+  `) {
+    const isLeader = rank === 1;
+    return `
+      <li class="scoreboard-item ${isLeader ? 'leader' : ''}">
+        <span class="scoreboard-rank">${isLeader ? '<i class="fas fa-crown"></i>' : `#${rank}`}</span>
+        <div class="scoreboard-summary">
+          <strong>${Utils.escapeHtml(entry.name)}</strong>
+          <span class="history-stats">${details}</span>
+        </div>
+        <span class="history-date">${Utils.formatDate(entry.completedAt)}</span>
+      </li>
+    `;
+  }
+
+  /**
+   * Clears the leaderboards that match the current filters
+   */
+  resetLeaderboards() {
+    const boards = this.getFilteredLeaderboards();
+    LeaderboardStore.clear(boards.map(board => board.key));
+    this.populateLeaderboardFilters();
+    this.renderLeaderboards();
+    UIComponents.showToast('Leaderboards', `${boards.length} ${boards.length === 1 ? 'leaderboard' : 'leaderboards'} cleared.`, 'info', 3000);
+  }
+
+  reviewAttempt(id) {
+    const attempt = HistoryStore.get(id);
+    if (attempt) {
+      this.showReview(attempt.userAnswers, 'history-screen');
+    }
+  }
+
+  /**
+   * Plays a past attempt again with the same questions, order and time limit
+   * @param {string} id - History entry id
+   */
+  replayAttempt(id) {
+    const attempt = HistoryStore.get(id);
+    if (!attempt || !attempt.questions) {
+      return;
+    }
+
+    // Time limit, scoring and penalties all come from the original attempt
+    this.useSessionSettings(attempt.settings);
+    this.beginQuiz(attempt.questions, {
+      sessionType: attempt.sessionType,
+      label: attempt.label,
+      seed: attempt.seed,
+      isReplay: true
+    });
+  }
+
+  deleteAttempt(id) {
+    HistoryStore.remove(id);
+    this.renderHistory();
+    UIComponents.showToast('History', 'Quiz removed from your history.', 'info', 3000);
+  }
+
   quitQuiz() {
+    this.live.leave();
     this.state.reset();
-    UIComponents.switchScreen('quiz', 'start-screen');
+    this.updatePauseUI();
+    this.updateHandoffUI();
+    SessionStore.clear();
+    this.showStartScreen();
     UIComponents.showToast('Quiz Quit', 'You can start a new quiz anytime!', 'info');
   }
 
   restartQuiz() {
+    this.live.leave();
     this.state.reset();
-    UIComponents.switchScreen('end-screen', 'start-screen');
+    this.showStartScreen();
     
     // Focus on start button
     const startBtn = document.getElementById('start-btn');
     if (startBtn) startBtn.focus();
   }
 
+  /**
+   * Ranks hot-seat players by points, then by average answer time
+   */
+  renderScoreboard() {
+    const { state } = this;
+    const standings = state.players.map((player, index) => {
+      state.loadPlayer(index);
+      return {
+        index,
+        name: player.name,
+        score: state.getAdjustedScore(),
+        total: player.userAnswers.length,
+        percentage: state.getPercentage(),
+        points: state.getPoints(),
+        bestStreak: player.bestStreak,
+        avgTime: state.getAverageTime()
+      };
+    }).sort((a, b) => b.points - a.points || a.avgTime - b.avgTime);
+
+    // Players with the same points and average time share a rank
+    const isTied = (a, b) => a.points === b.points && a.avgTime === b.avgTime;
+    standings.forEach(entry => {
+      entry.rank = standings.findIndex(other => isTied(other, entry)) + 1;
+    });
+
+    document.getElementById('scoreboard').innerHTML = `
+      <ol class="scoreboard-list">
+        ${standings.map(entry => `
+          <li class="scoreboard-item ${entry.rank === 1 ? 'leader' : ''}" data-player="${entry.index}">
+            <span class="scoreboard-rank">${entry.rank === 1 ? '<i class="fas fa-crown"></i>' : `#${entry.rank}`}</span>
+            <div class="scoreboard-summary">
+              <strong>${Utils.escapeHtml(entry.name)}</strong>
+              <span class="history-stats">
+                ${entry.score}/${entry.total} (${entry.percentage}%)
+                &middot; ${entry.points} points
+                &middot; Best streak ${entry.bestStreak}
+                &middot; Avg ${Utils.formatTime(entry.avgTime)}
+              </span>
+            </div>
+            <button class="btn btn-info" data-action="review" aria-label="Review answers for ${Utils.escapeHtml(entry.name)}">
+              <i class="fas fa-list"></i>
+            </button>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+
+    const winners = standings.filter(entry => entry.rank === 1).map(entry => entry.name);
+    UIComponents.showToast('Game Over!', `${Utils.escapeHtml(winners.join(' & '))} ${winners.length > 1 ? 'tie' : 'wins'}!`, 'success', 5000);
+  }
+
+  reviewPlayer(index) {
+    const player = this.state.players[index];
+    if (player) {
+      this.showReview(player.userAnswers, 'end-screen');
+    }
+  }
+
+  renderPointsBreakdown() {
+    const policy = ScoringPolicy.get(this.state.settings.scoring);
+    document.getElementById('points-breakdown').innerHTML = `
+      <h2>${Utils.escapeHtml(policy.label)}</h2>
+      <ol class="points-list">
+        ${this.state.userAnswers.map(answer => `
+          <li class="${answer.isCorrect ? 'correct' : 'wrong'}">
+            <span class="points-question">${Utils.escapeHtml(answer.question)}</span>
+            <span class="points-detail">${ScoringPolicy.describe(answer.points || ScoringPolicy.none())}</span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  renderChallengeResult() {
+    const container = document.getElementById('challenge-result');
+    const { challenge } = this.state;
+    container.classList.toggle('hide', !challenge);
+    if (!challenge) {
+      return;
+    }
+
+    const score = this.state.getAdjustedScore();
+    const outcomes = {
+      win: { icon: 'fa-crown', text: 'You beat the challenge!' },
+      lose: { icon: 'fa-flag', text: 'The challenger wins this time.' },
+      tie: { icon: 'fa-handshake', text: 'It\'s a tie!' }
+    };
+    const outcome = score > challenge.score ? 'win' : score < challenge.score ? 'lose' : 'tie';
+
+    container.innerHTML = `
+      <h2><i class="fas ${outcomes[outcome].icon}"></i> ${outcomes[outcome].text}</h2>
+      <div class="challenge-scores">
+        <div class="challenge-score ${outcome === 'win' ? 'leader' : ''}">
+          <span class="stat-label">You</span>
+          <span class="stat-value">${score}/${challenge.total}</span>
+        </div>
+        <div class="challenge-score ${outcome === 'lose' ? 'leader' : ''}">
+          <span class="stat-label">Challenger</span>
+          <span class="stat-value">${challenge.score}/${challenge.total}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  shareChallenge() {
+    const url = ChallengeLink.create(this.state);
+    const shareText = `I scored ${this.state.getAdjustedScore()}/${this.state.questions.length} on this QuizPro quiz. Can you beat me?`;
+
+    if (navigator.share) {
+      navigator.share({ title: 'QuizPro Challenge', text: shareText, url }).catch(error => {
+        // Closing the share sheet rejects with an AbortError
+        if (error.name !== 'AbortError') {
+          this.fallbackShare(url);
+        }
+      });
+    } else if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(() => {
+        UIComponents.showToast('Challenge Link Copied', 'Send it to a friend to play the same quiz.', 'success');
+      }).catch(() => {
+        this.fallbackShare(url);
+      });
+    } else {
+      this.fallbackShare(url);
+    }
+  }
+
   shareResults() {
     const totalQuestions = this.state.questions.length;
-    const percentage = Math.round((this.state.score / totalQuestions) * 100);
-    const shareText = `I just scored ${this.state.score}/${totalQuestions} (${percentage}%) on QuizPro! 🧠✨`;
+    const percentage = this.state.getPercentage();
+    const shareText = `I just scored ${this.state.getAdjustedScore()}/${totalQuestions} (${percentage}%) on QuizPro! 🧠✨`;
 
     if (navigator.share) {
       // Use native sharing if available
@@ -981,7 +6212,7 @@ class QuizApp {
 
   announceQuestion(current, total) {
     // Create announcement for screen readers
-    const announcement = `Question ${current} of ${total}`;
+    const announcement = total ? `Question ${current} of ${total}` : `Question ${current}`;
     const announcer = document.createElement('div');
     announcer.setAttribute('aria-live', 'polite');
     announcer.setAttribute('aria-atomic', 'true');
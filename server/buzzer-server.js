@@ -0,0 +1,292 @@
+/* eslint-env node */
+/**
+ * QuizPro Buzzer Server
+ *
+ * A small WebSocket server for live multiplayer games. One browser hosts a
+ * room and pushes each question; participants join with the room code and
+ * answer from their own devices. Answers are timestamped here, not on the
+ * players' devices, so the server alone decides who was fastest.
+ *
+ * Usage: npm run server (listens on PORT, default 8080)
+ */
+const { WebSocketServer } = require('ws');
+
+const SERVER_CONFIG = {
+  PORT: Number(process.env.PORT) || 8080,
+  MAX_PAYLOAD: 64 * 1024,
+  CODE_LENGTH: 4,
+  // No I or O, so codes can't be mistaken for 1 or 0
+  CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  MAX_PLAYERS: 50,
+  MAX_NAME_LENGTH: 20,
+  // The fastest correct answer gets POINTS_FIRST, each later one POINTS_STEP less
+  POINTS_FIRST: 1000,
+  POINTS_STEP: 200,
+  POINTS_MIN: 200
+};
+
+const rooms = new Map();
+
+function send(socket, type, data = {}) {
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify({ type, ...data }));
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks a question pushed by a host before any of it reaches the players
+ * or is used to score answers
+ */
+function isValidQuestion({ index, total, answers }) {
+  return Number.isInteger(index) && Number.isInteger(total) && index >= 0 && index < total &&
+    Array.isArray(answers) && answers.length > 0 && answers.every(answer => typeof answer === 'string');
+}
+
+function createRoomCode() {
+  const { CODE_LENGTH, CODE_ALPHABET } = SERVER_CONFIG;
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () =>
+      CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+class Room {
+  constructor(host) {
+    this.code = createRoomCode();
+    this.host = host;
+    this.players = new Map();
+    this.question = null;
+    this.nextPlayerId = 1;
+  }
+
+  getStandings() {
+    return [...this.players.values()]
+      .map(({ id, name, score }) => ({ id, name, score }))
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  }
+
+  broadcast(type, data = {}) {
+    this.players.forEach(player => send(player.socket, type, data));
+  }
+
+  updateHost() {
+    send(this.host, 'players', { players: this.getStandings() });
+  }
+
+  /**
+   * Adds a participant to the room
+   * @param {WebSocket} socket - Participant connection
+   * @param {string} name - Display name
+   * @returns {Object} The new player
+   * @throws {Error} When the name is missing or taken, or the room is full
+   */
+  addPlayer(socket, name) {
+    const trimmed = String(name || '').trim().slice(0, SERVER_CONFIG.MAX_NAME_LENGTH);
+    if (!trimmed) {
+      throw new Error('Please enter a name.');
+    }
+    if (this.players.size >= SERVER_CONFIG.MAX_PLAYERS) {
+      throw new Error('This room is full.');
+    }
+    if ([...this.players.values()].some(player => player.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error('That name is already taken in this room.');
+    }
+
+    const player = { id: this.nextPlayerId++, name: trimmed, score: 0, socket };
+    this.players.set(player.id, player);
+    this.updateHost();
+    return player;
+  }
+
+  removePlayer(id) {
+    this.players.delete(id);
+    this.updateHost();
+  }
+
+  openQuestion({ index, total, answers, timeLimit }) {
+    this.question = { index, answers, openedAt: Date.now(), responses: [] };
+    this.broadcast('question', { index, total, answers, timeLimit });
+  }
+
+  /**
+   * Records a participant's answer; only the first answer per question counts
+   * @param {Object} player - Player who answered
+   * @param {number} answerIndex - Index into the question's answers
+   */
+  recordAnswer(player, answerIndex) {
+    const question = this.question;
+    if (!question || question.closed || question.responses.some(response => response.playerId === player.id)) {
+      return;
+    }
+    if (!Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex >= question.answers.length) {
+      return;
+    }
+
+    const response = {
+      playerId: player.id,
+      name: player.name,
+      answer: question.answers[answerIndex],
+      order: question.responses.length + 1,
+      timeMs: Date.now() - question.openedAt
+    };
+    question.responses.push(response);
+
+    send(player.socket, 'answer-received', { order: response.order });
+    send(this.host, 'buzz', { playerId: player.id, name: player.name, order: response.order });
+  }
+
+  reveal(correctAnswer) {
+    const question = this.question;
+    if (!question || question.closed) {
+      return;
+    }
+
+    question.closed = true;
+    const { POINTS_FIRST, POINTS_STEP, POINTS_MIN } = SERVER_CONFIG;
+    let correctCount = 0;
+    const responses = question.responses.map(response => {
+      const correct = response.answer === correctAnswer;
+      const points = correct ? Math.max(POINTS_MIN, POINTS_FIRST - correctCount++ * POINTS_STEP) : 0;
+      const player = this.players.get(response.playerId);
+      if (player) {
+        player.score += points;
+      }
+      return { ...response, correct, points };
+    });
+
+    const results = { index: question.index, correctAnswer, responses, players: this.getStandings() };
+    send(this.host, 'results', results);
+    this.broadcast('results', results);
+  }
+
+  end() {
+    const players = this.getStandings();
+    send(this.host, 'game-over', { players });
+    this.broadcast('game-over', { players });
+  }
+
+  close() {
+    this.broadcast('room-closed');
+    rooms.delete(this.code);
+  }
+}
+
+/**
+ * Handles one message from a client. `client` tracks what the connection
+ * is: a host with its room, or a player in a room.
+ */
+function handleMessage(client, message) {
+  const { room, player } = client;
+
+  switch (message.type) {
+  case 'create': {
+    if (room) {
+      return;
+    }
+    client.room = new Room(client.socket);
+    rooms.set(client.room.code, client.room);
+    send(client.socket, 'created', { code: client.room.code });
+    break;
+  }
+  case 'join': {
+    if (room) {
+      return;
+    }
+    const target = rooms.get(String(message.code || '').toUpperCase());
+    if (!target) {
+      send(client.socket, 'error', { message: 'No game with that room code.' });
+      return;
+    }
+    try {
+      client.player = target.addPlayer(client.socket, message.name);
+      client.room = target;
+      send(client.socket, 'joined', { code: target.code, playerId: client.player.id, name: client.player.name });
+    } catch (error) {
+      send(client.socket, 'error', { message: error.message });
+    }
+    break;
+  }
+  case 'question':
+    if (room && !player) {
+      if (!isValidQuestion(message)) {
+        send(client.socket, 'error', { message: 'Questions need an index, a total and a list of answers.' });
+        return;
+      }
+      room.openQuestion(message);
+    }
+    break;
+  case 'answer':
+    if (room && player) {
+      room.recordAnswer(player, message.answerIndex);
+    }
+    break;
+  case 'reveal':
+    if (room && !player) {
+      room.reveal(message.correctAnswer);
+    }
+    break;
+  case 'end':
+    if (room && !player) {
+      room.end();
+    }
+    break;
+  default:
+    send(client.socket, 'error', { message: `Unknown message type: ${message.type}` });
+  }
+}
+
+function handleClose(client) {
+  if (!client.room) {
+    return;
+  }
+  if (client.player) {
+    client.room.removePlayer(client.player.id);
+  } else {
+    client.room.close();
+  }
+}
+
+function startServer(port = SERVER_CONFIG.PORT) {
+  const server = new WebSocketServer({ port, maxPayload: SERVER_CONFIG.MAX_PAYLOAD });
+
+  server.on('connection', socket => {
+    const client = { socket, room: null, player: null };
+
+    socket.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        send(socket, 'error', { message: 'Messages must be JSON.' });
+        return;
+      }
+      if (!isPlainObject(message)) {
+        send(socket, 'error', { message: 'Messages must be JSON objects.' });
+        return;
+      }
+
+      // One bad message must not take down every room on the server
+      try {
+        handleMessage(client, message);
+      } catch (error) {
+        send(socket, 'error', { message: 'The server could not handle that message.' });
+      }
+    });
+
+    socket.on('close', () => handleClose(client));
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { startServer, Room, SERVER_CONFIG };
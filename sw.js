@@ -0,0 +1,83 @@
+/**
+ * QuizPro - Service Worker
+ * Caches the app shell so QuizPro loads without a connection.
+ * Questions for offline play are stored separately as downloaded packs.
+ */
+
+const CACHE_NAME = 'quizpro-shell-v2.0.0';
+const APP_SHELL = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'question-bank.json'
+];
+// Third-party assets that are cached the first time they load
+const CACHEABLE_HOSTS = [
+  'cdnjs.cloudflare.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    // Network first so updates show up, cache when offline
+    event.respondWith(networkFirst(request));
+  } else if (CACHEABLE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+  // Everything else (question APIs) goes straight to the network
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}